@@ -1,53 +1,22 @@
 import { CATEGORIES } from './category.js';
+import { buildErrorRemediation, fetchJson, fetchXml } from '../http.js';
+import { createParamReader, stripSecretParams } from '../params.js';
+import { escapeHtml, buildGptSummary, buildCitationReportHtml } from '../summary-core.js';
+import { setSafeHtml, htmlToText } from '../html-sanitizer.js';
+import { getProvider } from '../llm-providers.js';
 
-const VERSION = 'v0.1.11';
+const VERSION = 'v0.1.20';
 
 const CONFIG = {
   biorxivBaseUrl: 'https://api.biorxiv.org/details/biorxiv',
   biorxivRssBaseUrl: 'https://connect.biorxiv.org/biorxiv_xml.php',
   biorxivWebBaseUrl: 'https://www.biorxiv.org/content',
   openAlexAuthorsUrl: 'https://api.openalex.org/authors',
-  openaiResponsesUrl: 'https://api.openai.com/v1/responses',
-  openaiModel: 'gpt-5-mini',
-  reasoningEffort: 'low',
-  maxBiorxivArticles: 25,
   maxOpenAlexArticles: 25,
   maxSummaryArticles: 5,
-  maxAbstractChars: 5000,
-  maxOutputTokens: 5000
+  maxAbstractChars: 5000
 };
 
-/**
- * Get a query parameter from the current URL.
- * @param {string} param
- * @returns {string|null}
- */
-function getQueryParam(param) {
-  const urlParams = new URLSearchParams(window.location.search);
-  return urlParams.get(param);
-}
-
-/**
- * Resolve a required param from the URL or localStorage.
- * @param {string} param
- * @returns {string|null}
- */
-function getParamValue(param) {
-  let value = getQueryParam(param);
-
-  if (value) {
-    localStorage.setItem(param, value);
-  } else {
-    value = localStorage.getItem(param);
-  }
-
-  if (!value) {
-    console.error(`ERROR: ${param} is not provided and not found in localStorage`);
-  }
-
-  return value;
-}
-
 /**
  * Build a CORS-proxied URL when a proxy is provided.
  * @param {string|null} corsProxy
@@ -63,19 +32,6 @@ function buildCorsProxyUrl(corsProxy, targetUrl) {
   return `${trimmed}${separator}url=${encodeURIComponent(targetUrl)}`;
 }
 
-/**
- * Resolve a maximum RSS article count from the URL.
- * @returns {number}
- */
-function resolveMaxBiorxivArticles() {
-  const value = getQueryParam('maxBiorxivArticles');
-  const parsed = Number(value);
-  if (Number.isFinite(parsed) && parsed > 0) {
-    return Math.floor(parsed);
-  }
-  return CONFIG.maxBiorxivArticles;
-}
-
 /**
  * Normalize a category string.
  * @param {string} value
@@ -128,34 +84,6 @@ function resolveCategory(requested) {
   return CATEGORY_MAP[normalized] || '';
 }
 
-/**
- * Fetch JSON with basic error handling.
- * @param {string} url
- * @returns {Promise<object>}
- */
-async function fetchJson(url) {
-  const response = await fetch(url);
-  if (!response.ok) {
-    throw new Error(`HTTP error: ${response.status}`);
-  }
-  return response.json();
-}
-
-/**
- * Fetch XML with basic error handling.
- * @param {string} url
- * @returns {Promise<Document>}
- */
-async function fetchXml(url) {
-  const response = await fetch(url);
-  if (!response.ok) {
-    throw new Error(`HTTP error: ${response.status}`);
-  }
-  const text = await response.text();
-  const parser = new DOMParser();
-  return parser.parseFromString(text, 'application/xml');
-}
-
 /**
  * Build a bioRxiv content URL from DOI and version.
  * @param {string} doi
@@ -194,7 +122,7 @@ async function fetchBiorxivRssArticles(category, maxArticles, corsProxy) {
   const params = new URLSearchParams({ subject: category });
   const rssUrl = `${CONFIG.biorxivRssBaseUrl}?${params.toString()}`;
   const url = buildCorsProxyUrl(corsProxy, rssUrl);
-  const xml = await fetchXml(url);
+  const xml = await fetchXml(url, { service: 'bioRxiv RSS' });
   const items = Array.from(xml.getElementsByTagName('item'));
 
   const getFirstText = (node, tagNames) => {
@@ -228,8 +156,8 @@ async function fetchBiorxivRssArticles(category, maxArticles, corsProxy) {
       const linkValue = getFirstText(item, ['link']);
       const doiValue = normalizeDoi(idValue) || extractDoiFromLink(linkValue);
       return {
-        title: titleValue.trim(),
-        abstract: descValue.trim(),
+        title: htmlToText(titleValue),
+        abstract: htmlToText(descValue),
         date: dateValue.trim(),
         doi: doiValue
       };
@@ -248,7 +176,7 @@ async function fetchBiorxivDetailsByDoi(doi) {
     return null;
   }
   const url = `${CONFIG.biorxivBaseUrl}/${encodeDoiPath(normalizedDoi)}`;
-  const data = await fetchJson(url);
+  const data = await fetchJson(url, { service: 'bioRxiv' });
   const collection = Array.isArray(data?.collection) ? data.collection : [];
   return collection.length ? collection[0] : null;
 }
@@ -300,7 +228,7 @@ async function fetchOpenAlexAuthorStats(authorName) {
   const url = `${CONFIG.openAlexAuthorsUrl}?${params.toString()}`;
 
   try {
-    const data = await fetchJson(url);
+    const data = await fetchJson(url, { service: 'OpenAlex' });
     const result = Array.isArray(data?.results) ? data.results[0] : null;
     const meanCitedness = Number(result?.summary_stats?.['2yr_mean_citedness']);
     const stats = {
@@ -334,43 +262,6 @@ async function attachAuthorStats(articles) {
   return Promise.all(tasks);
 }
 
-/**
- * Extract output text from an OpenAI Responses API payload.
- * @param {object} responseJson
- * @returns {string}
- */
-function extractOutputText(responseJson) {
-  if (responseJson.output_text && responseJson.output_text.trim()) {
-    return responseJson.output_text.trim();
-  }
-  const output = responseJson.output;
-  if (!Array.isArray(output)) {
-    return '';
-  }
-  const parts = [];
-  output.forEach((item) => {
-    if (!item || typeof item !== 'object') {
-      return;
-    }
-    const content = item.content;
-    if (!Array.isArray(content)) {
-      return;
-    }
-    content.forEach((chunk) => {
-      if (!chunk || typeof chunk !== 'object') {
-        return;
-      }
-      if ((chunk.type === 'output_text' || chunk.type === 'summary_text') && typeof chunk.text === 'string') {
-        const trimmed = chunk.text.trim();
-        if (trimmed) {
-          parts.push(trimmed);
-        }
-      }
-    });
-  });
-  return parts.join('\n').trim();
-}
-
 /**
  * Normalize a DOI by stripping trailing version markers.
  * @param {string} doi
@@ -385,53 +276,6 @@ function normalizeDoi(doi) {
     .replace(/v\d+$/i, '');
 }
 
-/**
- * Escape HTML special characters.
- * @param {string} value
- * @returns {string}
- */
-function escapeHtml(value) {
-  return String(value)
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/"/g, '&quot;')
-    .replace(/'/g, '&#39;');
-}
-
-/**
- * Normalize summary into paragraph strings.
- * @param {string} text
- * @returns {string[]}
- */
-function normalizeSummaryParagraphs(text) {
-  const summaryMatches = Array.from(
-    text.matchAll(/<p[^>]*class=["']summary["'][^>]*>([\s\S]*?)<\/p>/gi)
-  );
-  if (summaryMatches.length > 0) {
-    return summaryMatches.map((match) => match[1].trim()).filter(Boolean);
-  }
-
-  const paragraphMatches = Array.from(text.matchAll(/<p[^>]*>([\s\S]*?)<\/p>/gi));
-  if (paragraphMatches.length > 0) {
-    return paragraphMatches.map((match) => match[1].trim()).filter(Boolean);
-  }
-
-  const split = text
-    .replace(/```[\s\S]*?```/g, ' ')
-    .replace(/[#*_`>~-]/g, ' ')
-    .split(/\n{2,}/)
-    .map((line) => line.trim())
-    .filter(Boolean);
-
-  if (split.length > 0) {
-    return split;
-  }
-
-  const trimmed = text.trim();
-  return trimmed ? [trimmed] : [];
-}
-
 /**
  * Shorten DOI labels in summary anchors for display.
  * @param {string} html
@@ -459,61 +303,6 @@ function buildDoiLink(doi, version) {
   return `<a href="${url}" target="_blank" rel="noopener">DOI: ${escapeHtml(normalizedDoi)}</a>`;
 }
 
-/**
- * Extract DOIs from a summary string.
- * @param {string} text
- * @returns {string[]}
- */
-function extractDois(text) {
-  const found = [];
-  const seen = new Set();
-  const patterns = [
-    /DOI:\s*(10\.\d{4,9}\/[^\s<;),]+)/gi,
-    /https?:\/\/www\.biorxiv\.org\/content\/(10\.\d{4,9}\/[^\s<;),]+)(?:v\d+)?/gi
-  ];
-
-  patterns.forEach((regex) => {
-    let match = regex.exec(text);
-    while (match) {
-      const raw = match[1] || '';
-      const doi = normalizeDoi(raw);
-      const key = doi.toLowerCase();
-      if (doi && !seen.has(key)) {
-        seen.add(key);
-        found.push(doi);
-      }
-      match = regex.exec(text);
-    }
-  });
-
-  return found;
-}
-
-/**
- * Append missing DOIs to the final paragraph list.
- * @param {string[]} paragraphs
- * @param {Array<{doi: string, version: string|number}>} missingDois
- * @returns {string[]}
- */
-function appendMissingDois(paragraphs, missingDois) {
-  if (!missingDois.length) {
-    return paragraphs;
-  }
-  const citations = missingDois
-    .map((item) => buildDoiLink(item.doi, item.version))
-    .filter(Boolean)
-    .join('; ');
-  const suffix = ` (${citations}).`;
-  const updated = paragraphs.slice();
-  if (updated.length === 0) {
-    updated.push(`Summary${suffix}`);
-  } else {
-    const lastIndex = updated.length - 1;
-    updated[lastIndex] = `${updated[lastIndex].trim()}${suffix}`;
-  }
-  return updated;
-}
-
 /**
  * Build HTML for the References section.
  * @param {string[]} doisInOrder
@@ -582,27 +371,25 @@ function buildBibliographyHtml(
 }
 
 /**
- * Build a GPT summary from abstracts.
+ * Summarize preprints with DOI-linked citations, a citation check and a References section.
  * @param {object} options
- * @param {string} options.apiKey
+ * @param {{provider: string, apiKey: string, baseUrl: string, model: string, reasoningEffort: string}} options.llm
  * @param {string} options.category
  * @param {object[]} options.articles
  * @param {number} options.papersFound
  * @param {number} options.papersSummarized
+ * @param {function(string): void} [options.onPartial] Receives partial summary HTML while the response streams.
  * @returns {Promise<string>}
  */
-async function buildGptSummary({
-  apiKey,
+async function summarizeArticles({
+  llm,
   category,
   articles,
   papersFound,
   papersSummarized,
-  intervalLabel
+  intervalLabel,
+  onPartial
 }) {
-  if (!apiKey) {
-    throw new Error('Missing OpenAI API key.');
-  }
-
   const papersForPrompt = articles.map((article) => ({
     title: article.title,
     corresponding_author: article.author_corresponding,
@@ -614,29 +401,24 @@ async function buildGptSummary({
     abstract: String(article.abstract || '').replace(/\s+/g, ' ').trim().slice(0, CONFIG.maxAbstractChars)
   }));
 
-  const systemPrompt = `You write an RSS description as HTML.
-Output MUST be 1 to 3 short paragraphs wrapped in <p class="summary"> tags only.
-No bibliography, no headings, no lists (<ul>/<ol>/<li>), no Markdown.
+  const systemPrompt = `You write an RSS description as JSON following the given schema.
+The summary MUST be 1 to 3 short paragraphs; each paragraph is a list of sentences.
+Sentence text is plain text: no HTML, no Markdown, no links and no DOIs in the text.
+No bibliography, no headings, no lists.
 Rules:
 - Use only the provided abstracts.
 - Do not add facts not present in the abstracts.
 - Do not mention citation counts, rankings, or OpenAlex.
 - Connect related papers instead of summarizing each paper separately.
-- Do not put all citations after a single sentence; spread them across sentences.
+- Do not put all citations on a single sentence; spread them across sentences.
 - Sentences should cite a maximum of 4 DOIs; more than 4 DOIs split into other sentences.
 - The majority of sentences should cite at least 2 DOIs.
 - Total length under 500 words.
-- Cite EVERY paper at least once using inline citations at sentence ends.
+- Cite EVERY paper at least once.
 - Sentences should never be composed of only citations.
-- Use base DOIs only; strip any trailing version markers like v1, v2 from the DOI label text.
-- Citation format must use linked DOIs like:
-  (<a href="https://www.biorxiv.org/content/10.1101/2021.04.14.439861v1" target="_blank" rel="noopener">DOI: 10.1101/2021.04.14.439861</a>).
-- Do not include hyperlinks other than DOI citation links.
+- List the papers a sentence cites in its "citations" array as the base DOIs from the input, without version markers like v1, v2 (e.g., "10.1101/2021.04.14.439861"); citation links are added automatically.
 - Do not include a references section; it will be appended automatically.
-- Do not include a Recent articles section.
-- References are appended after the summary using:
-  <h3 class="references-title">References</h3>
-  and <p class="reference-entry">DOI: 10.1101/... - Title. bioRxiv.</p>`;
+- Do not include a Recent articles section.`;
 
   const userPrompt = JSON.stringify(
     {
@@ -647,67 +429,20 @@ Rules:
     2
   );
 
-  const body = {
-    model: CONFIG.openaiModel,
-    max_output_tokens: CONFIG.maxOutputTokens,
-    reasoning: { effort: CONFIG.reasoningEffort },
-    input: [
-      { role: 'system', content: [{ type: 'input_text', text: systemPrompt }] },
-      { role: 'user', content: [{ type: 'input_text', text: userPrompt }] }
-    ],
-    text: { verbosity: 'low' }
-  };
-
-  const response = await fetch(CONFIG.openaiResponsesUrl, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      Authorization: `Bearer ${apiKey}`
-    },
-    body: JSON.stringify(body)
+  const { summaryHtml, citedItems, citationReport } = await buildGptSummary({
+    ...llm,
+    systemPrompt,
+    userPrompt,
+    onPartial,
+    items: articles
+      .map((article) => ({
+        key: normalizeDoi(article.doi),
+        buildLink: () => shortenSummaryDoiLabels(buildDoiLink(article.doi, article.version)),
+        article
+      }))
+      .filter((item) => item.key)
   });
 
-  if (!response.ok) {
-    throw new Error(`OpenAI request failed with ${response.status}`);
-  }
-
-  const json = await response.json();
-  let text = extractOutputText(json);
-  if (!text) {
-    throw new Error('OpenAI summary was empty.');
-  }
-
-  if (text.startsWith('```')) {
-    text = text.replace(/^```[a-zA-Z]*\n?/, '').replace(/```$/, '').trim();
-  }
-
-  text = text.replace(/\r\n/g, '\n');
-  text = text.replace(/<\/?(ul|ol|li|h[1-6])[^>]*>/gi, ' ');
-  text = text.split(/<p[^>]*>\s*References\s*<\/p>/i)[0].trim();
-  text = text.split(/^\s*References\s*$/im)[0].trim();
-
-  const paragraphs = normalizeSummaryParagraphs(text);
-  if (!paragraphs.length) {
-    throw new Error('OpenAI summary could not be parsed into paragraphs.');
-  }
-
-  const doiItems = articles
-    .map((article) => ({
-      doi: normalizeDoi(article.doi),
-      version: article.version
-    }))
-    .filter((item) => item.doi);
-  const lowerText = paragraphs.join(' ').toLowerCase();
-  const missingDois = doiItems.filter((item) => !lowerText.includes(item.doi.toLowerCase()));
-  const finalParagraphs = appendMissingDois(paragraphs, missingDois);
-
-  const summaryHtml = finalParagraphs
-    .filter((paragraph) => paragraph.trim())
-    .map((paragraph) => `<p class="summary">${paragraph}</p>`)
-    .join('');
-  const displaySummaryHtml = shortenSummaryDoiLabels(summaryHtml);
-
-  const doisInOrder = extractDois(finalParagraphs.join(' '));
   const articlesByDoi = articles.reduce((acc, article) => {
     const normalizedDoi = normalizeDoi(article.doi);
     if (normalizedDoi) {
@@ -717,33 +452,53 @@ Rules:
   }, {});
 
   const bibliographyHtml = buildBibliographyHtml(
-    doisInOrder,
+    citedItems.map((item) => item.key),
     articlesByDoi,
     papersFound,
     papersSummarized,
     intervalLabel
   );
 
-  return displaySummaryHtml + bibliographyHtml;
+  return summaryHtml + buildCitationReportHtml(citationReport, 'DOI') + bibliographyHtml;
 }
 
+/** bioRxiv-specific recovery hints passed to buildErrorRemediation. */
+const ERROR_HINTS = {
+  services: {
+    'bioRxiv RSS': {
+      unauthorized: 'The CORS proxy refused the request. Check ?corsProxy=YOUR_PROXY.'
+    }
+  },
+  timeout: 'lower maxBiorxivArticles'
+};
+
 /**
  * Initialize the page.
  * @returns {Promise<void>}
  */
 async function init() {
   document.title = document.title.replace('$VERSION', VERSION);
-  const apiKey = getParamValue('apikey');
+  const params = createParamReader();
+  const provider = getProvider(params.get('provider'));
+  const llm = {
+    provider: provider.name,
+    apiKey: params.get(provider.keyParam),
+    baseUrl: params.get('baseUrl'),
+    model: params.get('model'),
+    reasoningEffort: params.get('reasoningEffort')
+  };
   const resultsEl = document.getElementById('results');
-  const maxBiorxivArticles = resolveMaxBiorxivArticles();
-  const corsProxy = getParamValue('corsProxy');
+  const maxBiorxivArticles = Math.floor(params.get('maxBiorxivArticles'));
+  const corsProxy = params.get('corsProxy');
+  const stream = params.get('stream');
+  stripSecretParams();
 
-  if (!apiKey) {
-    resultsEl.innerHTML = '<p class="summary error">Missing apikey. Provide ?apikey=YOUR_KEY in the URL.</p>';
+  if (provider.requiresKey && !llm.apiKey) {
+    setSafeHtml(resultsEl, `<p class="summary error">Missing ${provider.keyParam}. Provide ?${provider.keyParam}=YOUR_KEY in the URL.</p>`);
     return;
   }
 
-  const requestedCategory = getQueryParam('category');
+  const requestedCategory = params.get('category');
   const requestedIsAll = isAllCategory(requestedCategory);
   const resolvedCategory = requestedIsAll ? '' : resolveCategory(requestedCategory);
   const selectedCategory = resolvedCategory || pickRandomCategory();
@@ -759,14 +514,14 @@ async function init() {
   section.appendChild(heading);
   const desc = document.createElement('div');
   desc.className = 'desc';
-  desc.innerHTML = '<p class="summary">Loading summary...</p>';
+  setSafeHtml(desc, '<p class="summary">Loading summary...</p>');
   section.appendChild(desc);
   resultsEl.appendChild(section);
 
   try {
     const rssArticles = await fetchBiorxivRssArticles(displayCategory, maxBiorxivArticles, corsProxy);
     if (!rssArticles.length) {
-      desc.innerHTML = '<p class="summary">No articles found.</p>';
+      setSafeHtml(desc, '<p class="summary">No articles found.</p>');
       return;
     }
 
@@ -781,15 +536,20 @@ async function init() {
       })
       .slice(0, CONFIG.maxSummaryArticles);
 
-    const summaryHtml = await buildGptSummary({
-      apiKey,
+    const summaryHtml = await summarizeArticles({
+      llm,
       category: displayCategory,
       articles: topArticles,
       papersFound: rssArticles.length,
       papersSummarized: topArticles.length,
-      intervalLabel: String(maxBiorxivArticles)
+      intervalLabel: String(maxBiorxivArticles),
+      onPartial: stream
+        ? (html) => {
+          setSafeHtml(desc, html);
+        }
+        : undefined
     });
-    desc.innerHTML = summaryHtml;
+    setSafeHtml(desc, summaryHtml);
     const rssLink = `${CONFIG.biorxivRssBaseUrl}?subject=${encodeURIComponent(displayCategory)}`;
     const rssLinkEl = document.createElement('a');
     rssLinkEl.href = rssLink;
@@ -802,7 +562,11 @@ async function init() {
 
   } catch (error) {
     console.error('ERROR:', error);
-    desc.innerHTML = `<p class="summary error">Error: ${escapeHtml(error.message || 'Unknown error')}</p>`;
+    const remediation = buildErrorRemediation(error, ERROR_HINTS);
+    const remediationHtml = remediation
+      ? `<p class="summary error">${escapeHtml(remediation)}</p>`
+      : '';
+    setSafeHtml(desc, `<p class="summary error">Error: ${escapeHtml(error.message || 'Unknown error')}</p>${remediationHtml}`);
   }
 }
 
@@ -0,0 +1,23 @@
+// Regenerate the README parameter table from the schema in params.js.
+// Usage: npm run docs:params
+import { readFileSync, writeFileSync } from 'node:fs';
+import { buildParamsMarkdown } from './params.js';
+
+const README_PATH = new URL('./README.md', import.meta.url);
+const START_MARKER = '<!-- params:start -->';
+const END_MARKER = '<!-- params:end -->';
+
+const readme = readFileSync(README_PATH, 'utf8');
+const start = readme.indexOf(START_MARKER);
+const end = readme.indexOf(END_MARKER);
+if (start === -1 || end < start) {
+  throw new Error(`README.md needs ${START_MARKER} and ${END_MARKER} markers.`);
+}
+
+const updated = [
+  readme.slice(0, start + START_MARKER.length),
+  buildParamsMarkdown(),
+  readme.slice(end)
+].join('\n');
+writeFileSync(README_PATH, updated);
+console.log('Updated the README parameter table.');
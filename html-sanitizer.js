@@ -0,0 +1,169 @@
+/**
+ * Allowlist HTML sanitizer for everything the pages inject with innerHTML.
+ * Model output, abstracts and RSS fields are untrusted: a script reaching the
+ * DOM could read API keys from localStorage. Only the markup the pages build
+ * themselves survives: summary and reference paragraphs, PubMed/PMC/DOI/bioRxiv
+ * links, the copy-citation button and basic inline formatting.
+ */
+
+/** Allowed elements and the attributes each may keep. */
+const ALLOWED_TAGS = {
+  p: ['class'],
+  a: ['href', 'target', 'rel'],
+  h3: ['class'],
+  span: ['class'],
+  strong: ['class'],
+  button: ['type', 'class', 'data-citation'],
+  em: [],
+  b: [],
+  i: [],
+  sub: [],
+  sup: [],
+  br: []
+};
+
+/** Allowed class names per element; other classes are dropped. */
+const ALLOWED_CLASSES = {
+  p: ['summary', 'error', 'reference-entry', 'citation-report'],
+  h3: ['references-title'],
+  span: ['reference-links', 'error'],
+  strong: ['integrity-badge', 'retracted', 'concern', 'corrected'],
+  button: ['copy-citation']
+};
+
+/** Elements removed together with their content. */
+const DROPPED_TAGS = [
+  'script', 'style', 'iframe', 'frame', 'object', 'embed', 'template', 'noscript',
+  'svg', 'math', 'textarea', 'select', 'title', 'head', 'link', 'meta', 'base', 'form'
+];
+
+/** Hosts that links may point to (HTTPS only). */
+const LINK_HOSTS = [
+  'pubmed.ncbi.nlm.nih.gov',
+  'pmc.ncbi.nlm.nih.gov',
+  'doi.org',
+  'www.biorxiv.org',
+  'connect.biorxiv.org'
+];
+
+/**
+ * Check that a link points to an allowed host over HTTPS.
+ * @param {string} href
+ * @returns {boolean}
+ */
+function isAllowedLink(href) {
+  try {
+    const url = new URL(href);
+    return url.protocol === 'https:' && LINK_HOSTS.includes(url.hostname);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Copy the allowed attributes of a source element onto a clean element.
+ * @param {Element} source
+ * @param {Element} target
+ * @returns {void}
+ */
+function copyAllowedAttributes(source, target) {
+  const tag = target.tagName.toLowerCase();
+  ALLOWED_TAGS[tag].forEach((name) => {
+    const value = source.getAttribute(name);
+    if (value === null) {
+      return;
+    }
+    if (name === 'class') {
+      const classes = value
+        .split(/\s+/)
+        .filter((className) => (ALLOWED_CLASSES[tag] || []).includes(className));
+      if (classes.length) {
+        target.setAttribute('class', classes.join(' '));
+      }
+      return;
+    }
+    if (name === 'type') {
+      target.setAttribute('type', 'button');
+      return;
+    }
+    if (name === 'target') {
+      target.setAttribute('target', '_blank');
+      target.setAttribute('rel', 'noopener');
+      return;
+    }
+    if (name !== 'rel') {
+      target.setAttribute(name, value);
+    }
+  });
+}
+
+/**
+ * Append sanitized copies of a node's children to a clean parent.
+ * Disallowed elements are unwrapped (their text is kept) unless dropped outright.
+ * @param {Node} source
+ * @param {Node} target
+ * @param {Document} doc
+ * @returns {void}
+ */
+function appendSanitizedChildren(source, target, doc) {
+  source.childNodes.forEach((node) => {
+    if (node.nodeType === Node.TEXT_NODE) {
+      target.appendChild(doc.createTextNode(node.textContent));
+      return;
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE) {
+      return;
+    }
+    const tag = node.tagName.toLowerCase();
+    if (DROPPED_TAGS.includes(tag)) {
+      return;
+    }
+    const isAllowed = Object.prototype.hasOwnProperty.call(ALLOWED_TAGS, tag)
+      && (tag !== 'a' || isAllowedLink(node.getAttribute('href') || ''));
+    if (!isAllowed) {
+      appendSanitizedChildren(node, target, doc);
+      return;
+    }
+    const clean = doc.createElement(tag);
+    copyAllowedAttributes(node, clean);
+    appendSanitizedChildren(node, clean, doc);
+    target.appendChild(clean);
+  });
+}
+
+/**
+ * Sanitize an HTML string against the allowlist.
+ * @param {string} html
+ * @returns {string}
+ */
+function sanitizeHtml(html) {
+  const parsed = new DOMParser().parseFromString(String(html || ''), 'text/html');
+  const container = parsed.createElement('div');
+  appendSanitizedChildren(parsed.body, container, parsed);
+  return container.innerHTML;
+}
+
+/**
+ * Replace an element's content with sanitized HTML.
+ * @param {Element} element
+ * @param {string} html
+ * @returns {void}
+ */
+function setSafeHtml(element, html) {
+  element.innerHTML = sanitizeHtml(html);
+}
+
+/**
+ * Reduce an HTML fragment (such as an RSS description) to its plain text.
+ * @param {string} html
+ * @returns {string}
+ */
+function htmlToText(html) {
+  const parsed = new DOMParser().parseFromString(String(html || ''), 'text/html');
+  DROPPED_TAGS.forEach((tag) => {
+    parsed.body.querySelectorAll(tag).forEach((node) => node.remove());
+  });
+  return parsed.body.textContent.replace(/\s+/g, ' ').trim();
+}
+
+export { LINK_HOSTS, sanitizeHtml, setSafeHtml, htmlToText };
@@ -0,0 +1,355 @@
+const HTTP_DEFAULTS = {
+  retries: 3,
+  timeoutMs: 30000,
+  baseDelayMs: 500,
+  maxDelayMs: 30000,
+  maxRetryAfterMs: 60000
+};
+
+/**
+ * Base error for failed HTTP requests.
+ */
+class HttpError extends Error {
+  /**
+   * @param {string} message
+   * @param {{service?: string, status?: number, url?: string, retryAfterMs?: number|null, body?: string}} details
+   */
+  constructor(message, { service = '', status = 0, url = '', retryAfterMs = null, body = '' } = {}) {
+    super(message);
+    this.name = 'HttpError';
+    this.service = service;
+    this.status = status;
+    this.url = url;
+    this.retryAfterMs = retryAfterMs;
+    this.body = body;
+  }
+}
+
+/**
+ * Raised when a service keeps answering 429 after all retries.
+ */
+class RateLimitedError extends HttpError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'RateLimitedError';
+  }
+}
+
+/**
+ * Raised on 401/403, usually a missing or invalid API key.
+ */
+class UnauthorizedError extends HttpError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'UnauthorizedError';
+  }
+}
+
+/**
+ * Raised on 5xx responses and network failures after all retries.
+ */
+class UpstreamError extends HttpError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'UpstreamError';
+  }
+}
+
+/**
+ * Raised when a request does not return headers within the timeout.
+ */
+class TimeoutError extends HttpError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'TimeoutError';
+  }
+}
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date) into milliseconds.
+ * @param {string|null} value
+ * @returns {number|null}
+ */
+function parseRetryAfter(value) {
+  if (!value) {
+    return null;
+  }
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(seconds, 0) * 1000;
+  }
+  const date = Date.parse(value);
+  if (Number.isFinite(date)) {
+    return Math.max(date - Date.now(), 0);
+  }
+  return null;
+}
+
+/**
+ * Compute a jittered exponential backoff delay.
+ * @param {number} attempt
+ * @param {number} baseDelayMs
+ * @param {number} maxDelayMs
+ * @returns {number}
+ */
+function computeBackoffDelay(attempt, baseDelayMs, maxDelayMs) {
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * (2 ** attempt));
+  return Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
+}
+
+/**
+ * Wait for a number of milliseconds.
+ * @param {number} ms
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise((resolve) => {
+    setTimeout(resolve, ms);
+  });
+}
+
+/**
+ * Check whether a status code is worth retrying.
+ * @param {number} status
+ * @returns {boolean}
+ */
+function isRetryableStatus(status) {
+  return status === 429 || status >= 500;
+}
+
+/**
+ * Build a typed error for a non-OK response. The response body is kept on the
+ * error so callers can read service-specific error details.
+ * @param {Response} response
+ * @param {string} service
+ * @param {string} url
+ * @returns {Promise<HttpError>}
+ */
+async function buildResponseError(response, service, url) {
+  const { status } = response;
+  const message = `${service} request failed with ${status}`;
+  const details = {
+    service,
+    status,
+    url,
+    retryAfterMs: parseRetryAfter(response.headers.get('Retry-After')),
+    body: await response.text().catch(() => '')
+  };
+  if (status === 429) {
+    return new RateLimitedError(message, details);
+  }
+  if (status === 401 || status === 403) {
+    return new UnauthorizedError(message, details);
+  }
+  if (status >= 500) {
+    return new UpstreamError(message, details);
+  }
+  return new HttpError(message, details);
+}
+
+/**
+ * Fetch a URL with a timeout, retrying 429 and 5xx responses with backoff.
+ * The timeout covers the wait for response headers; reading the body is left to the caller.
+ * @param {string} url
+ * @param {object} [options]
+ * @param {RequestInit} [options.init]
+ * @param {string} [options.service]
+ * @param {number} [options.retries]
+ * @param {number} [options.timeoutMs]
+ * @param {number} [options.baseDelayMs]
+ * @param {number} [options.maxDelayMs]
+ * @param {AbortSignal} [options.signal] Cancels the request and any pending retry; its reason is thrown.
+ * @param {function(): Promise<*>} [options.throttle] Awaited before every attempt, retries
+ *   included, so a shared rate limiter also spaces out retries.
+ * @param {function(HttpError): boolean} [options.shouldRetry] Vetoes retrying a retryable failure
+ *   (429, 5xx, network error or timeout), e.g. for calls that are slow or billed per attempt.
+ * @returns {Promise<Response>}
+ */
+async function fetchWithRetry(url, {
+  init = {},
+  service = 'HTTP',
+  retries = HTTP_DEFAULTS.retries,
+  timeoutMs = HTTP_DEFAULTS.timeoutMs,
+  baseDelayMs = HTTP_DEFAULTS.baseDelayMs,
+  maxDelayMs = HTTP_DEFAULTS.maxDelayMs,
+  signal,
+  throttle,
+  shouldRetry = () => true
+} = {}) {
+  for (let attempt = 0; ; attempt += 1) {
+    if (throttle) {
+      await throttle();
+    }
+    signal?.throwIfAborted();
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    const onAbort = () => controller.abort();
+    signal?.addEventListener('abort', onAbort);
+    let error;
+    try {
+      const response = await fetch(url, { ...init, signal: controller.signal });
+      if (response.ok) {
+        return response;
+      }
+      error = await buildResponseError(response, service, url);
+      if (!isRetryableStatus(response.status)) {
+        throw error;
+      }
+    } catch (caught) {
+      signal?.throwIfAborted();
+      if (caught instanceof HttpError && !isRetryableStatus(caught.status)) {
+        throw caught;
+      }
+      if (caught?.name === 'AbortError') {
+        error = new TimeoutError(`${service} request timed out after ${timeoutMs} ms`, { service, url });
+      } else if (!(caught instanceof HttpError)) {
+        error = new UpstreamError(`${service} request failed: ${caught?.message || 'network error'}`, {
+          service,
+          url
+        });
+      }
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+    }
+
+    if (attempt >= retries || !shouldRetry(error)) {
+      throw error;
+    }
+    const retryAfterMs = error.retryAfterMs;
+    if (retryAfterMs !== null && retryAfterMs > HTTP_DEFAULTS.maxRetryAfterMs) {
+      throw error;
+    }
+    const delay = retryAfterMs ?? computeBackoffDelay(attempt, baseDelayMs, maxDelayMs);
+    console.warn(`${error.message}; retrying in ${delay} ms (attempt ${attempt + 1} of ${retries})`);
+    await sleep(delay);
+  }
+}
+
+/**
+ * Fetch a URL and return the response text.
+ * @param {string} url
+ * @param {object} [options] See fetchWithRetry.
+ * @returns {Promise<string>}
+ */
+async function fetchText(url, options) {
+  const response = await fetchWithRetry(url, options);
+  return response.text();
+}
+
+/**
+ * Fetch a URL and parse the response as JSON.
+ * @param {string} url
+ * @param {object} [options] See fetchWithRetry.
+ * @returns {Promise<object>}
+ */
+async function fetchJson(url, options) {
+  const response = await fetchWithRetry(url, options);
+  return response.json();
+}
+
+/**
+ * Fetch a URL and parse the response as XML.
+ * @param {string} url
+ * @param {object} [options] See fetchWithRetry.
+ * @returns {Promise<Document>}
+ */
+async function fetchXml(url, options) {
+  const text = await fetchText(url, options);
+  const parser = new DOMParser();
+  return parser.parseFromString(text, 'application/xml');
+}
+
+/**
+ * Suggest how to recover from a failed remote call: the error's own `remediation`
+ * (set by the LLM providers) or a generic hint for its error class. Pages pass
+ * hints for their own services, which replace the generic rate-limit and
+ * credentials text, and what to lower after a timeout.
+ * @param {Error} error
+ * @param {object} [hints]
+ * @param {Object<string, {rateLimited?: string, unauthorized?: string}>} [hints.services] Hints by service name.
+ * @param {string} [hints.timeout] Settings to lower after a timeout, e.g. 'lower maxBiorxivArticles'.
+ * @returns {string}
+ */
+function buildErrorRemediation(error, { services = {}, timeout = '' } = {}) {
+  if (error?.remediation) {
+    return error.remediation;
+  }
+  const service = error?.service || 'The remote service';
+  const serviceHints = services[service] || {};
+  if (error instanceof RateLimitedError) {
+    return serviceHints.rateLimited || `${service} is rate limiting requests. Wait a minute and reload.`;
+  }
+  if (error instanceof UnauthorizedError) {
+    return serviceHints.unauthorized || `${service} rejected the request credentials.`;
+  }
+  if (error instanceof TimeoutError) {
+    return `${service} did not respond in time. Reload to retry${timeout ? `, or ${timeout}` : ''}.`;
+  }
+  if (error instanceof UpstreamError) {
+    return `${service} is unavailable right now. Try again later.`;
+  }
+  return '';
+}
+
+/**
+ * Read a server-sent events (SSE) response body event by event.
+ * @param {Response} response
+ * @returns {AsyncGenerator<{event: string, data: string}>}
+ */
+async function* readEventStream(response) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let eventName = '';
+  let dataLines = [];
+  try {
+    for (;;) {
+      const { value, done } = await reader.read();
+      buffer += decoder.decode(value || new Uint8Array(), { stream: !done });
+      const lines = buffer.split(/\r?\n/);
+      buffer = done ? '' : lines.pop();
+      for (const line of lines) {
+        if (!line) {
+          if (dataLines.length) {
+            yield { event: eventName || 'message', data: dataLines.join('\n') };
+          }
+          eventName = '';
+          dataLines = [];
+        } else if (!line.startsWith(':')) {
+          const separator = line.indexOf(':');
+          const field = separator === -1 ? line : line.slice(0, separator);
+          const fieldValue = separator === -1 ? '' : line.slice(separator + 1).replace(/^ /, '');
+          if (field === 'event') {
+            eventName = fieldValue;
+          } else if (field === 'data') {
+            dataLines.push(fieldValue);
+          }
+        }
+      }
+      if (done) {
+        if (dataLines.length) {
+          yield { event: eventName || 'message', data: dataLines.join('\n') };
+        }
+        return;
+      }
+    }
+  } finally {
+    // Stops the download when the consumer leaves the loop early.
+    reader.cancel().catch(() => {});
+  }
+}
+
+export {
+  HttpError,
+  RateLimitedError,
+  UnauthorizedError,
+  UpstreamError,
+  TimeoutError,
+  fetchWithRetry,
+  fetchText,
+  fetchJson,
+  fetchXml,
+  buildErrorRemediation,
+  readEventStream
+};
@@ -0,0 +1,155 @@
+const HISTORY_KEY = 'interestHistory';
+
+const SELECTION_MODES = ['random', 'round-robin', 'lru', 'weighted'];
+
+/**
+ * Select random items without mutating the original array.
+ * @template T
+ * @param {T[]} items
+ * @param {number} count
+ * @returns {T[]}
+ */
+function pickRandomItems(items, count) {
+  const copy = items.slice();
+  for (let i = copy.length - 1; i > 0; i -= 1) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [copy[i], copy[j]] = [copy[j], copy[i]];
+  }
+  return copy.slice(0, Math.min(count, copy.length));
+}
+
+/**
+ * Read the selection history from localStorage.
+ * @returns {{lastRoundRobinId: string, shown: Object<string, {lastShown: number, count: number}>}}
+ */
+function readHistory() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(HISTORY_KEY) || '{}') || {};
+    return {
+      lastRoundRobinId: parsed.lastRoundRobinId || '',
+      shown: parsed.shown && typeof parsed.shown === 'object' ? parsed.shown : {}
+    };
+  } catch (error) {
+    console.warn('Ignoring unreadable interest history:', error);
+    return { lastRoundRobinId: '', shown: {} };
+  }
+}
+
+/**
+ * Continue through the list in order after the last interest shown.
+ * @param {Array<{id: string}>} items
+ * @param {number} count
+ * @param {string} lastId
+ * @returns {Array<{id: string}>}
+ */
+function pickRoundRobin(items, count, lastId) {
+  const start = items.findIndex((item) => item.id === lastId) + 1;
+  const picked = [];
+  for (let offset = 0; offset < Math.min(count, items.length); offset += 1) {
+    picked.push(items[(start + offset) % items.length]);
+  }
+  return picked;
+}
+
+/**
+ * Pick the interests shown longest ago (never shown first), breaking ties randomly.
+ * @param {Array<{id: string}>} items
+ * @param {number} count
+ * @param {Object<string, {lastShown: number}>} shown
+ * @returns {Array<{id: string}>}
+ */
+function pickLeastRecentlyShown(items, count, shown) {
+  return pickRandomItems(items, items.length)
+    .sort((a, b) => (shown[a.id]?.lastShown || 0) - (shown[b.id]?.lastShown || 0))
+    .slice(0, count);
+}
+
+/**
+ * Weighted random sample without replacement; interests default to weight 1
+ * and a weight of 0 is never picked.
+ * @param {Array<{weight?: number}>} items
+ * @param {number} count
+ * @returns {Array<object>}
+ */
+function pickWeighted(items, count) {
+  return items
+    .map((item) => {
+      const weight = Number.isFinite(Number(item.weight)) ? Number(item.weight) : 1;
+      return { item, key: weight > 0 ? Math.random() ** (1 / weight) : -1 };
+    })
+    .filter((entry) => entry.key >= 0)
+    .sort((a, b) => b.key - a.key)
+    .slice(0, count)
+    .map((entry) => entry.item);
+}
+
+/**
+ * Select interests with the given mode using the stored selection history.
+ * @param {Array<{id: string, weight?: number}>} items
+ * @param {number} count
+ * @param {string} mode One of SELECTION_MODES; unknown modes fall back to random.
+ * @returns {Array<object>}
+ */
+function selectInterests(items, count, mode) {
+  const history = readHistory();
+  if (mode === 'round-robin') {
+    return pickRoundRobin(items, count, history.lastRoundRobinId);
+  }
+  if (mode === 'lru') {
+    return pickLeastRecentlyShown(items, count, history.shown);
+  }
+  if (mode === 'weighted') {
+    return pickWeighted(items, count);
+  }
+  return pickRandomItems(items, count);
+}
+
+/**
+ * Record that interests were shown so rotation modes can move on.
+ * @param {Array<{id?: string}>} items
+ * @returns {void}
+ */
+function recordShown(items) {
+  const withIds = items.filter((item) => item.id);
+  if (!withIds.length) {
+    return;
+  }
+  const history = readHistory();
+  const now = Date.now();
+  withIds.forEach((item) => {
+    const previous = history.shown[item.id];
+    history.shown[item.id] = { lastShown: now, count: (previous?.count || 0) + 1 };
+  });
+  history.lastRoundRobinId = withIds[withIds.length - 1].id;
+  localStorage.setItem(HISTORY_KEY, JSON.stringify(history));
+}
+
+/**
+ * Drop history entries for interests that are no longer in the list.
+ * @param {Array<{id?: string}>} items The full interest list.
+ * @returns {void}
+ */
+function pruneHistory(items) {
+  const ids = new Set(items.map((item) => item.id).filter(Boolean));
+  const history = readHistory();
+  const staleIds = Object.keys(history.shown).filter((id) => !ids.has(id));
+  const staleRoundRobin = Boolean(history.lastRoundRobinId) && !ids.has(history.lastRoundRobinId);
+  if (!staleIds.length && !staleRoundRobin) {
+    return;
+  }
+  staleIds.forEach((id) => {
+    delete history.shown[id];
+  });
+  if (staleRoundRobin) {
+    history.lastRoundRobinId = '';
+  }
+  localStorage.setItem(HISTORY_KEY, JSON.stringify(history));
+}
+
+export {
+  SELECTION_MODES,
+  pickRandomItems,
+  selectInterests,
+  recordShown,
+  pruneHistory
+};
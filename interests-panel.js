@@ -0,0 +1,246 @@
+import {
+  INTEREST_TYPES,
+  normalizeTags,
+  loadInterests,
+  saveInterests,
+  resetInterests,
+  exportInterestsJson,
+  parseInterestsJson
+} from './interests-store.js';
+
+/**
+ * Create an element with optional text content.
+ * @param {string} tagName
+ * @param {string} [text]
+ * @returns {HTMLElement}
+ */
+function createElement(tagName, text) {
+  const element = document.createElement(tagName);
+  if (text) {
+    element.textContent = text;
+  }
+  return element;
+}
+
+/**
+ * Build a type select for an interest row.
+ * @param {string} selectedType
+ * @returns {HTMLSelectElement}
+ */
+function buildTypeSelect(selectedType) {
+  const select = document.createElement('select');
+  INTEREST_TYPES.forEach((type) => {
+    const option = createElement('option', type);
+    option.value = type;
+    option.selected = type === selectedType;
+    select.appendChild(option);
+  });
+  return select;
+}
+
+/**
+ * Offer interests JSON as a file download.
+ * @param {Array<object>} interests
+ * @returns {void}
+ */
+function downloadInterests(interests) {
+  const blob = new Blob([exportInterestsJson(interests)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = 'qpubmed-interests.json';
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Render the interests manager: add, edit, enable/disable, tag, delete,
+ * import/export as JSON and reset to the INTERESTS seed. Every edit is saved
+ * to localStorage immediately and applies on the next page load.
+ * @param {HTMLElement} container
+ * @returns {void}
+ */
+function renderInterestsPanel(container) {
+  let interests = loadInterests();
+
+  const details = document.createElement('details');
+  details.className = 'interests-panel';
+  details.appendChild(createElement('summary', 'Manage interests'));
+
+  const statusEl = createElement('p');
+  statusEl.className = 'interests-status';
+
+  const table = document.createElement('table');
+  const thead = document.createElement('thead');
+  const headRow = document.createElement('tr');
+  ['On', 'Query', 'Type', 'Tags', ''].forEach((label) => {
+    headRow.appendChild(createElement('th', label));
+  });
+  thead.appendChild(headRow);
+  table.appendChild(thead);
+  const tbody = document.createElement('tbody');
+  table.appendChild(tbody);
+
+  const persist = (message) => {
+    interests = saveInterests(interests);
+    statusEl.textContent = `${message} Reload to apply.`;
+  };
+
+  /**
+   * Apply changes to the current copy of an interest and save. Saving replaces
+   * every interest object, so row handlers must go through the id, not keep a
+   * reference to the object they were rendered from.
+   * @param {string} id
+   * @param {object} changes
+   * @param {function(object): string} describe Builds the status message from the updated interest.
+   * @returns {void}
+   */
+  const updateInterest = (id, changes, describe) => {
+    interests = interests.map((item) => (item.id === id ? { ...item, ...changes } : item));
+    persist(describe(interests.find((item) => item.id === id)));
+  };
+
+  const renderRows = () => {
+    tbody.innerHTML = '';
+    interests.forEach((interest) => {
+      const row = document.createElement('tr');
+
+      const enabledCell = document.createElement('td');
+      const enabledInput = document.createElement('input');
+      enabledInput.type = 'checkbox';
+      enabledInput.checked = interest.enabled;
+      enabledInput.addEventListener('change', () => {
+        updateInterest(interest.id, { enabled: enabledInput.checked }, (updated) => (
+          `${updated.query} ${updated.enabled ? 'enabled' : 'disabled'}.`
+        ));
+      });
+      enabledCell.appendChild(enabledInput);
+      row.appendChild(enabledCell);
+
+      const queryCell = document.createElement('td');
+      const queryInput = document.createElement('input');
+      queryInput.value = interest.query;
+      queryInput.addEventListener('change', () => {
+        const value = queryInput.value.trim();
+        if (!value) {
+          queryInput.value = interests.find((item) => item.id === interest.id).query;
+          statusEl.textContent = 'Query cannot be empty.';
+          return;
+        }
+        updateInterest(interest.id, { query: value }, () => 'Query updated.');
+      });
+      queryCell.appendChild(queryInput);
+      row.appendChild(queryCell);
+
+      const typeCell = document.createElement('td');
+      const typeSelect = buildTypeSelect(interest.type);
+      typeSelect.addEventListener('change', () => {
+        updateInterest(interest.id, { type: typeSelect.value }, () => 'Type updated.');
+      });
+      typeCell.appendChild(typeSelect);
+      row.appendChild(typeCell);
+
+      const tagsCell = document.createElement('td');
+      const tagsInput = document.createElement('input');
+      tagsInput.value = interest.tags.join(', ');
+      tagsInput.placeholder = 'tag1, tag2';
+      tagsInput.addEventListener('change', () => {
+        updateInterest(interest.id, { tags: normalizeTags(tagsInput.value) }, () => 'Tags updated.');
+      });
+      tagsCell.appendChild(tagsInput);
+      row.appendChild(tagsCell);
+
+      const actionsCell = document.createElement('td');
+      const deleteButton = createElement('button', 'Delete');
+      deleteButton.type = 'button';
+      deleteButton.addEventListener('click', () => {
+        const deleted = interests.find((item) => item.id === interest.id);
+        interests = interests.filter((item) => item.id !== interest.id);
+        persist(`Deleted ${deleted.query}.`);
+        renderRows();
+      });
+      actionsCell.appendChild(deleteButton);
+      row.appendChild(actionsCell);
+
+      tbody.appendChild(row);
+    });
+  };
+
+  const addForm = document.createElement('form');
+  const addQuery = document.createElement('input');
+  addQuery.placeholder = 'New interest query';
+  addQuery.required = true;
+  const addType = buildTypeSelect(INTEREST_TYPES[0]);
+  const addTags = document.createElement('input');
+  addTags.placeholder = 'tags';
+  const addButton = createElement('button', 'Add');
+  addButton.type = 'submit';
+  addForm.append(addQuery, addType, addTags, addButton);
+  addForm.addEventListener('submit', (event) => {
+    event.preventDefault();
+    const query = addQuery.value.trim();
+    if (!query) {
+      return;
+    }
+    interests.push({
+      query,
+      type: addType.value,
+      enabled: true,
+      tags: normalizeTags(addTags.value)
+    });
+    persist(`Added ${query}.`);
+    renderRows();
+    addForm.reset();
+  });
+
+  const toolbar = document.createElement('p');
+  const exportButton = createElement('button', 'Export JSON');
+  exportButton.type = 'button';
+  exportButton.addEventListener('click', () => downloadInterests(interests));
+
+  const importInput = document.createElement('input');
+  importInput.type = 'file';
+  importInput.accept = 'application/json,.json';
+  importInput.hidden = true;
+  importInput.addEventListener('change', () => {
+    const file = importInput.files?.[0];
+    if (!file) {
+      return;
+    }
+    file.text()
+      .then((text) => {
+        interests = parseInterestsJson(text);
+        persist(`Imported ${interests.length} interests.`);
+        renderRows();
+      })
+      .catch((error) => {
+        console.error('ERROR: Failed to import interests', error);
+        statusEl.textContent = `Import failed: ${error.message}`;
+      })
+      .finally(() => {
+        importInput.value = '';
+      });
+  });
+  const importButton = createElement('button', 'Import JSON');
+  importButton.type = 'button';
+  importButton.addEventListener('click', () => importInput.click());
+
+  const resetButton = createElement('button', 'Reset to defaults');
+  resetButton.type = 'button';
+  resetButton.addEventListener('click', () => {
+    if (!window.confirm('Replace your interests with the default list?')) {
+      return;
+    }
+    interests = resetInterests();
+    statusEl.textContent = 'Restored default interests. Reload to apply.';
+    renderRows();
+  });
+
+  toolbar.append(exportButton, ' ', importButton, ' ', resetButton, importInput);
+
+  details.append(table, addForm, toolbar, statusEl);
+  renderRows();
+  container.appendChild(details);
+}
+
+export { renderInterestsPanel };
@@ -0,0 +1,156 @@
+import { INTERESTS } from './interests.js';
+
+const INTEREST_TYPES = ['topic', 'journal', 'author', 'mesh', 'affiliation', 'grant'];
+
+const STORE_KEY = 'interests';
+
+/**
+ * Create a reasonably unique interest id.
+ * @returns {string}
+ */
+function createInterestId() {
+  if (globalThis.crypto?.randomUUID) {
+    return globalThis.crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * Build a stable id for a seed interest from its type and query, so the
+ * selection history still matches it on the next page load.
+ * @param {{type?: string, query?: string}} interest
+ * @returns {string}
+ */
+function buildSeedId(interest) {
+  const slug = `${interest.type || ''}-${interest.query || ''}`
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  return `seed-${slug}`;
+}
+
+/**
+ * Normalize tags from a comma-separated string or an array.
+ * @param {string|string[]|undefined} value
+ * @returns {string[]}
+ */
+function normalizeTags(value) {
+  const items = Array.isArray(value) ? value : String(value || '').split(',');
+  const tags = items
+    .map((item) => String(item).trim().toLowerCase())
+    .filter(Boolean);
+  return Array.from(new Set(tags));
+}
+
+/**
+ * Validate and normalize one interest, keeping any extra fields it declares.
+ * @param {object} raw
+ * @returns {{id: string, query: string, type: string, enabled: boolean, tags: string[]}|null}
+ */
+function normalizeInterest(raw) {
+  if (!raw || typeof raw !== 'object') {
+    return null;
+  }
+  const query = String(raw.query || '').trim();
+  const type = String(raw.type || '').trim().toLowerCase();
+  if (!query || !INTEREST_TYPES.includes(type)) {
+    return null;
+  }
+  return {
+    ...raw,
+    id: raw.id ? String(raw.id) : createInterestId(),
+    query,
+    type,
+    enabled: raw.enabled !== false,
+    tags: normalizeTags(raw.tags)
+  };
+}
+
+/**
+ * Build the default interest list from the INTERESTS seed.
+ * @returns {Array<{id: string, query: string, type: string, enabled: boolean, tags: string[]}>}
+ */
+function seedInterests() {
+  return INTERESTS
+    .map((interest) => normalizeInterest({ ...interest, id: interest.id || buildSeedId(interest) }))
+    .filter(Boolean);
+}
+
+/**
+ * Load interests from localStorage, falling back to the INTERESTS seed.
+ * @returns {Array<{id: string, query: string, type: string, enabled: boolean, tags: string[]}>}
+ */
+function loadInterests() {
+  const stored = localStorage.getItem(STORE_KEY);
+  if (!stored) {
+    return seedInterests();
+  }
+  try {
+    const parsed = JSON.parse(stored);
+    if (!Array.isArray(parsed)) {
+      throw new Error('Stored interests are not an array.');
+    }
+    return parsed.map((interest) => normalizeInterest(interest)).filter(Boolean);
+  } catch (error) {
+    console.error('ERROR: Failed to read stored interests; using defaults', error);
+    return seedInterests();
+  }
+}
+
+/**
+ * Persist interests to localStorage.
+ * @param {Array<object>} interests
+ * @returns {Array<{id: string, query: string, type: string, enabled: boolean, tags: string[]}>}
+ */
+function saveInterests(interests) {
+  const normalized = interests.map((interest) => normalizeInterest(interest)).filter(Boolean);
+  localStorage.setItem(STORE_KEY, JSON.stringify(normalized));
+  return normalized;
+}
+
+/**
+ * Drop stored interests so the INTERESTS seed is used again.
+ * @returns {Array<{id: string, query: string, type: string, enabled: boolean, tags: string[]}>}
+ */
+function resetInterests() {
+  localStorage.removeItem(STORE_KEY);
+  return seedInterests();
+}
+
+/**
+ * Serialize interests as pretty-printed JSON for export.
+ * @param {Array<object>} interests
+ * @returns {string}
+ */
+function exportInterestsJson(interests) {
+  return JSON.stringify(interests, null, 2);
+}
+
+/**
+ * Parse exported interests JSON, rejecting files with no valid interests.
+ * @param {string} text
+ * @returns {Array<{id: string, query: string, type: string, enabled: boolean, tags: string[]}>}
+ */
+function parseInterestsJson(text) {
+  const parsed = JSON.parse(text);
+  const items = Array.isArray(parsed) ? parsed : parsed?.interests;
+  if (!Array.isArray(items)) {
+    throw new Error('Expected a JSON array of interests.');
+  }
+  const interests = items.map((interest) => normalizeInterest(interest)).filter(Boolean);
+  if (!interests.length) {
+    throw new Error(`No valid interests found; each needs a query and a type (${INTEREST_TYPES.join(', ')}).`);
+  }
+  return interests;
+}
+
+export {
+  INTEREST_TYPES,
+  normalizeTags,
+  normalizeInterest,
+  loadInterests,
+  saveInterests,
+  resetInterests,
+  exportInterestsJson,
+  parseInterestsJson
+};
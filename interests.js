@@ -1,5 +1,5 @@
 const INTERESTS = [
-  { query: 'adrenocortical carcinoma', type: 'topic' },
+  { query: 'adrenocortical carcinoma', type: 'topic', days: 90 },
   { query: 'colorectal organoids', type: 'topic' },
   { query: 'relapsed sclc', type: 'topic' },
   { query: 'cancer nanopore', type: 'topic' },
@@ -44,7 +44,7 @@ const INTERESTS = [
   { query: 'Mol Syst Biol', type: 'journal' },
   { query: 'Nat Biotechnol', type: 'journal' },
   { query: 'Nat Chem Biol', type: 'journal' },
-  { query: 'Nat Commun', type: 'journal' },
+  { query: 'Nat Commun', type: 'journal', days: 7 },
   { query: 'Nat Genet', type: 'journal' },
   { query: 'Nat Med', type: 'journal' },
   { query: 'Nat Methods', type: 'journal' },
@@ -0,0 +1,407 @@
+import {
+  HttpError,
+  RateLimitedError,
+  UnauthorizedError,
+  UpstreamError,
+  TimeoutError
+} from './http.js';
+
+/**
+ * LLM providers selectable with ?provider=. Each provider builds its own
+ * request (optionally constrained to a JSON schema), extracts the output text
+ * (whole or from streamed SSE events) and maps failures to typed errors that
+ * carry the provider's own error message and a `remediation` hint.
+ *
+ * A schema is passed as `{name, schema}`; the output text is then the JSON document.
+ * Only providers with `customBaseUrl` accept ?baseUrl=; the hosted providers always
+ * use their own endpoint so their API keys are never sent anywhere else.
+ */
+
+/**
+ * Read the error message from a JSON error body, if there is one.
+ * OpenAI and most compatible servers use {error: {message}}, Anthropic uses
+ * {type: 'error', error: {type, message}} and Ollama uses {error: 'message'}.
+ * @param {string} body
+ * @returns {{message: string, type: string}}
+ */
+function parseErrorBody(body) {
+  try {
+    const parsed = JSON.parse(body || '');
+    const error = parsed?.error;
+    if (typeof error === 'string') {
+      return { message: error, type: '' };
+    }
+    return {
+      message: String(error?.message || parsed?.message || ''),
+      type: String(error?.code || error?.type || '')
+    };
+  } catch (parseError) {
+    return { message: String(body || '').trim().slice(0, 300), type: '' };
+  }
+}
+
+/**
+ * Parse the JSON data of a streamed event, ignoring non-JSON markers such as [DONE].
+ * @param {{data: string}} event
+ * @returns {object|null}
+ */
+function parseEventData(event) {
+  try {
+    return JSON.parse(event.data);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Copy an error into the same typed class with a clearer message and a remediation hint.
+ * @param {Error} error
+ * @param {string} message
+ * @param {string} remediation
+ * @returns {Error}
+ */
+function withRemediation(error, message, remediation) {
+  if (!(error instanceof HttpError)) {
+    return error;
+  }
+  const ErrorClass = error.constructor;
+  const mapped = new ErrorClass(message || error.message, {
+    service: error.service,
+    status: error.status,
+    url: error.url,
+    retryAfterMs: error.retryAfterMs,
+    body: error.body
+  });
+  mapped.remediation = remediation;
+  return mapped;
+}
+
+/**
+ * Join a base URL and a path without doubling slashes.
+ * @param {string} baseUrl
+ * @param {string} path
+ * @returns {string}
+ */
+function joinUrl(baseUrl, path) {
+  return `${String(baseUrl).replace(/\/+$/, '')}/${path}`;
+}
+
+/**
+ * Extract output text from an OpenAI Responses API payload.
+ * @param {object} responseJson
+ * @returns {string}
+ */
+function extractOutputText(responseJson) {
+  if (responseJson.output_text && responseJson.output_text.trim()) {
+    return responseJson.output_text.trim();
+  }
+  const output = responseJson.output;
+  if (!Array.isArray(output)) {
+    return '';
+  }
+  const parts = [];
+  output.forEach((item) => {
+    if (!item || typeof item !== 'object') {
+      return;
+    }
+    const content = item.content;
+    if (!Array.isArray(content)) {
+      return;
+    }
+    content.forEach((chunk) => {
+      if (!chunk || typeof chunk !== 'object') {
+        return;
+      }
+      if ((chunk.type === 'output_text' || chunk.type === 'summary_text') && typeof chunk.text === 'string') {
+        const trimmed = chunk.text.trim();
+        if (trimmed) {
+          parts.push(trimmed);
+        }
+      }
+    });
+  });
+  return parts.join('\n').trim();
+}
+
+/**
+ * Extract output text from a Chat Completions payload.
+ * @param {object} responseJson
+ * @returns {string}
+ */
+function extractChatCompletionText(responseJson) {
+  const content = responseJson?.choices?.[0]?.message?.content;
+  if (Array.isArray(content)) {
+    return content.map((part) => part?.text || '').join('').trim();
+  }
+  return String(content || '').trim();
+}
+
+/**
+ * Extract output text from an Anthropic Messages payload. Structured output
+ * arrives as the input of the forced tool call and is returned as JSON text.
+ * @param {object} responseJson
+ * @returns {string}
+ */
+function extractAnthropicText(responseJson) {
+  const content = Array.isArray(responseJson?.content) ? responseJson.content : [];
+  const toolUse = content.find((block) => block?.type === 'tool_use' && block.input);
+  if (toolUse) {
+    return JSON.stringify(toolUse.input);
+  }
+  return content
+    .filter((block) => block?.type === 'text' && typeof block.text === 'string')
+    .map((block) => block.text)
+    .join('')
+    .trim();
+}
+
+const PROVIDERS = {
+  openai: {
+    name: 'openai',
+    service: 'OpenAI',
+    baseUrl: 'https://api.openai.com/v1',
+    defaultModel: 'gpt-5-mini',
+    keyParam: 'apikey',
+    requiresKey: true,
+    customBaseUrl: false,
+    /**
+     * @param {{apiKey: string, baseUrl: string, model: string, reasoningEffort: string, systemPrompt: string, userPrompt: string, maxOutputTokens: number, stream?: boolean, schema?: {name: string, schema: object}}} request
+     * @returns {{url: string, init: RequestInit}}
+     */
+    buildRequest({ apiKey, baseUrl, model, reasoningEffort, systemPrompt, userPrompt, maxOutputTokens, stream, schema }) {
+      const body = {
+        model,
+        max_output_tokens: maxOutputTokens,
+        reasoning: { effort: reasoningEffort },
+        input: [
+          { role: 'system', content: [{ type: 'input_text', text: systemPrompt }] },
+          { role: 'user', content: [{ type: 'input_text', text: userPrompt }] }
+        ],
+        text: {
+          verbosity: 'low',
+          ...(schema ? { format: { type: 'json_schema', name: schema.name, schema: schema.schema, strict: true } } : {})
+        },
+        ...(stream ? { stream: true } : {})
+      };
+      return {
+        url: joinUrl(baseUrl, 'responses'),
+        init: {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            Authorization: `Bearer ${apiKey}`
+          },
+          body: JSON.stringify(body)
+        }
+      };
+    },
+    extractText: extractOutputText,
+    /**
+     * @param {{event: string, data: string}} event
+     * @returns {{delta: string, error: string}}
+     */
+    readStreamEvent(event) {
+      const data = parseEventData(event);
+      if (data?.type === 'response.output_text.delta') {
+        return { delta: String(data.delta || ''), error: '' };
+      }
+      if (data?.type === 'response.failed' || data?.type === 'error') {
+        return { delta: '', error: String(data.response?.error?.message || data.message || 'stream failed') };
+      }
+      return { delta: '', error: '' };
+    },
+    /**
+     * @param {Error} error
+     * @returns {Error}
+     */
+    mapError(error) {
+      const { message, type } = parseErrorBody(error.body);
+      const detail = message ? `OpenAI: ${message}` : '';
+      if (error instanceof RateLimitedError) {
+        return withRemediation(error, detail, type === 'insufficient_quota'
+          ? 'OpenAI quota exhausted. Check your plan and billing details.'
+          : 'OpenAI rate limit reached. Wait a minute and reload.');
+      }
+      if (error instanceof UnauthorizedError) {
+        return withRemediation(error, detail, 'OpenAI rejected the API key. Provide a valid key with ?apikey=YOUR_KEY.');
+      }
+      if (error instanceof TimeoutError) {
+        return withRemediation(error, '', 'OpenAI did not respond in time. Reload to retry, lower maxSummaryArticles, or use ?reasoningEffort=minimal.');
+      }
+      if (error.status === 400 || error.status === 404) {
+        return withRemediation(error, detail, 'Check ?model= and ?reasoningEffort= for this provider.');
+      }
+      return withRemediation(error, detail, '');
+    }
+  },
+  'openai-compatible': {
+    name: 'openai-compatible',
+    service: 'LLM server',
+    baseUrl: 'http://localhost:11434/v1',
+    defaultModel: '',
+    keyParam: 'llmApiKey',
+    requiresKey: false,
+    customBaseUrl: true,
+    /**
+     * @param {{apiKey: string, baseUrl: string, model: string, systemPrompt: string, userPrompt: string, maxOutputTokens: number, stream?: boolean, schema?: {name: string, schema: object}}} request
+     * @returns {{url: string, init: RequestInit}}
+     */
+    buildRequest({ apiKey, baseUrl, model, systemPrompt, userPrompt, maxOutputTokens, stream, schema }) {
+      const body = {
+        model,
+        max_tokens: maxOutputTokens,
+        messages: [
+          { role: 'system', content: systemPrompt },
+          { role: 'user', content: userPrompt }
+        ],
+        ...(schema
+          ? { response_format: { type: 'json_schema', json_schema: { name: schema.name, schema: schema.schema, strict: true } } }
+          : {}),
+        ...(stream ? { stream: true } : {})
+      };
+      const headers = { 'Content-Type': 'application/json' };
+      if (apiKey) {
+        headers.Authorization = `Bearer ${apiKey}`;
+      }
+      return {
+        url: joinUrl(baseUrl, 'chat/completions'),
+        init: { method: 'POST', headers, body: JSON.stringify(body) }
+      };
+    },
+    extractText: extractChatCompletionText,
+    /**
+     * @param {{event: string, data: string}} event
+     * @returns {{delta: string, error: string}}
+     */
+    readStreamEvent(event) {
+      const data = parseEventData(event);
+      if (data?.error) {
+        return { delta: '', error: String(data.error.message || data.error) };
+      }
+      return { delta: String(data?.choices?.[0]?.delta?.content || ''), error: '' };
+    },
+    /**
+     * @param {Error} error
+     * @returns {Error}
+     */
+    mapError(error) {
+      const { message } = parseErrorBody(error.body);
+      const detail = message ? `LLM server: ${message}` : '';
+      if (error instanceof UpstreamError && !error.status) {
+        return withRemediation(error, detail, 'Could not reach the LLM server. Check ?baseUrl=, that the server is running, and that it allows cross-origin requests (e.g., OLLAMA_ORIGINS for Ollama).');
+      }
+      if (error instanceof UnauthorizedError) {
+        return withRemediation(error, detail, 'The LLM server rejected the request. Provide its key with ?llmApiKey=YOUR_KEY.');
+      }
+      if (error instanceof TimeoutError) {
+        return withRemediation(error, '', 'The LLM server did not respond in time. Local models can be slow; lower maxSummaryArticles or use a smaller model.');
+      }
+      if (error.status === 400 || error.status === 404) {
+        return withRemediation(error, detail, 'Check ?model= (the name the server knows the model by) and ?baseUrl= (usually ending in /v1).');
+      }
+      return withRemediation(error, detail, '');
+    }
+  },
+  anthropic: {
+    name: 'anthropic',
+    service: 'Anthropic',
+    baseUrl: 'https://api.anthropic.com/v1',
+    defaultModel: 'claude-sonnet-4-5',
+    keyParam: 'anthropicApiKey',
+    requiresKey: true,
+    customBaseUrl: false,
+    /**
+     * @param {{apiKey: string, baseUrl: string, model: string, systemPrompt: string, userPrompt: string, maxOutputTokens: number, stream?: boolean, schema?: {name: string, schema: object}}} request
+     * @returns {{url: string, init: RequestInit}}
+     */
+    buildRequest({ apiKey, baseUrl, model, systemPrompt, userPrompt, maxOutputTokens, stream, schema }) {
+      const body = {
+        model,
+        max_tokens: maxOutputTokens,
+        system: systemPrompt,
+        messages: [{ role: 'user', content: userPrompt }],
+        ...(schema
+          ? {
+            tools: [{ name: schema.name, description: 'Return the result.', input_schema: schema.schema }],
+            tool_choice: { type: 'tool', name: schema.name }
+          }
+          : {}),
+        ...(stream ? { stream: true } : {})
+      };
+      return {
+        url: joinUrl(baseUrl, 'messages'),
+        init: {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'x-api-key': apiKey,
+            'anthropic-version': '2023-06-01',
+            'anthropic-dangerous-direct-browser-access': 'true'
+          },
+          body: JSON.stringify(body)
+        }
+      };
+    },
+    extractText: extractAnthropicText,
+    /**
+     * @param {{event: string, data: string}} event
+     * @returns {{delta: string, error: string}}
+     */
+    readStreamEvent(event) {
+      const data = parseEventData(event);
+      if (data?.type === 'content_block_delta' && data.delta?.type === 'text_delta') {
+        return { delta: String(data.delta.text || ''), error: '' };
+      }
+      if (data?.type === 'content_block_delta' && data.delta?.type === 'input_json_delta') {
+        return { delta: String(data.delta.partial_json || ''), error: '' };
+      }
+      if (data?.type === 'error') {
+        return { delta: '', error: String(data.error?.message || 'stream failed') };
+      }
+      return { delta: '', error: '' };
+    },
+    /**
+     * @param {Error} error
+     * @returns {Error}
+     */
+    mapError(error) {
+      const { message, type } = parseErrorBody(error.body);
+      const detail = message ? `Anthropic: ${message}` : '';
+      if (error instanceof RateLimitedError) {
+        return withRemediation(error, detail, 'Anthropic rate limit reached. Wait a minute and reload.');
+      }
+      if (error instanceof UnauthorizedError) {
+        return withRemediation(error, detail, 'Anthropic rejected the API key. Provide a valid key with ?anthropicApiKey=YOUR_KEY.');
+      }
+      if (error instanceof UpstreamError && type === 'overloaded_error') {
+        return withRemediation(error, detail, 'Anthropic is overloaded right now. Try again in a few minutes.');
+      }
+      if (error instanceof TimeoutError) {
+        return withRemediation(error, '', 'Anthropic did not respond in time. Reload to retry or lower maxSummaryArticles.');
+      }
+      if (error.status === 400 || error.status === 404) {
+        return withRemediation(error, detail, 'Check ?model= for this provider.');
+      }
+      return withRemediation(error, detail, '');
+    }
+  }
+};
+
+const PROVIDER_NAMES = Object.keys(PROVIDERS);
+
+/**
+ * Look up a provider by name, falling back to OpenAI.
+ * @param {string} name
+ * @returns {object}
+ */
+function getProvider(name) {
+  return PROVIDERS[name] || PROVIDERS.openai;
+}
+
+export {
+  PROVIDER_NAMES,
+  getProvider,
+  extractOutputText,
+  extractChatCompletionText,
+  extractAnthropicText
+};
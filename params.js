@@ -0,0 +1,568 @@
+import { INTEREST_TYPES } from './interests-store.js';
+import { SELECTION_MODES } from './interest-selection.js';
+import { PROVIDER_NAMES } from './llm-providers.js';
+
+/**
+ * Every URL parameter understood by the PubMed (`pubmed`) and bioRxiv
+ * (`biorxiv`) pages.
+ *
+ * - `type`: `secret`, `string`, `number`, `enum`, `list` (comma-separated),
+ *   `date` (YYYY-MM-DD) or `flag` (`1` turns it on, `0` off).
+ * - `stored`: URL values are written to localStorage and reused on later loads
+ *   (except with `share=1`, where they apply to that load only).
+ * - `required`: an error is logged when no value is found.
+ * - `env`: key in `.env.js` that takes precedence over the URL.
+ * Values resolve as env > URL > profile > localStorage (stored params) > default;
+ * secrets are never read from profiles.
+ */
+const PARAMS = [
+  {
+    name: 'provider',
+    type: 'enum',
+    default: 'openai',
+    options: PROVIDER_NAMES,
+    stored: true,
+    pages: ['pubmed', 'biorxiv'],
+    description: 'LLM provider: `openai` (Responses API), `openai-compatible` (any Chat Completions server such as llama.cpp, Ollama or vLLM) or `anthropic` (Messages API).'
+  },
+  {
+    name: 'apikey',
+    type: 'secret',
+    default: '',
+    stored: true,
+    env: 'OPENAI_API_KEY',
+    pages: ['pubmed', 'biorxiv'],
+    description: 'OpenAI API key, required with `provider=openai`. Removed from the address bar once stored, so it does not stay in the URL or browser history.'
+  },
+  {
+    name: 'anthropicApiKey',
+    type: 'secret',
+    default: '',
+    stored: true,
+    env: 'ANTHROPIC_API_KEY',
+    pages: ['pubmed', 'biorxiv'],
+    description: 'Anthropic API key, required with `provider=anthropic`. Removed from the address bar once stored.'
+  },
+  {
+    name: 'llmApiKey',
+    type: 'secret',
+    default: '',
+    stored: true,
+    env: 'LLM_API_KEY',
+    pages: ['pubmed', 'biorxiv'],
+    description: 'Optional bearer token for `provider=openai-compatible` servers that require one. Removed from the address bar once stored.'
+  },
+  {
+    name: 'baseUrl',
+    type: 'string',
+    default: '',
+    stored: true,
+    pages: ['pubmed', 'biorxiv'],
+    description: 'API base URL for `provider=openai-compatible`. Defaults to `http://localhost:11434/v1` (Ollama); use e.g. `http://localhost:8080/v1` for llama.cpp or `http://localhost:8000/v1` for vLLM. Ignored for `openai` and `anthropic`, which always use their public endpoints so their keys are never sent elsewhere.'
+  },
+  {
+    name: 'profile',
+    type: 'string',
+    default: '',
+    pages: ['pubmed'],
+    description: 'Name of a saved settings profile to apply (see [Profiles](#profiles)).'
+  },
+  {
+    name: 'share',
+    type: 'flag',
+    default: false,
+    pages: ['pubmed'],
+    description: 'Set by share links: URL values apply to this page load only and are not written to `localStorage`, so opening a shared link keeps your own stored settings.'
+  },
+  {
+    name: 'ncbiApiKey',
+    type: 'secret',
+    default: '',
+    stored: true,
+    env: 'NCBI_API_KEY',
+    pages: ['pubmed'],
+    description: 'NCBI E-utilities API key. Raises the request limit from 3 to 10 requests per second. Removed from the address bar once stored.'
+  },
+  {
+    name: 'tool',
+    type: 'string',
+    default: 'qpubmed',
+    stored: true,
+    pages: ['pubmed'],
+    description: 'Tool name sent to NCBI with every E-utilities request.'
+  },
+  {
+    name: 'email',
+    type: 'string',
+    default: '',
+    stored: true,
+    pages: ['pubmed'],
+    description: 'Contact email sent to NCBI with every E-utilities request.'
+  },
+  {
+    name: 'query',
+    type: 'string',
+    default: '',
+    pages: ['pubmed'],
+    description: 'Overrides interest selection with a custom PubMed search query.'
+  },
+  {
+    name: 'type',
+    type: 'enum',
+    default: '',
+    options: INTEREST_TYPES,
+    pages: ['pubmed'],
+    description: 'Filters interests to one type before selection. With `query`, sets how the custom query is searched.'
+  },
+  {
+    name: 'orcid',
+    type: 'string',
+    default: '',
+    pages: ['pubmed'],
+    description: 'With `query` and `type=author`, searches the author by ORCID (`[auid]`) instead of by name.'
+  },
+  {
+    name: 'majorTopic',
+    type: 'flag',
+    default: false,
+    pages: ['pubmed'],
+    description: 'With `query` and `type=mesh`, `majorTopic=1` restricts the search to major MeSH topics (`[majr]`).'
+  },
+  {
+    name: 'count',
+    type: 'number',
+    default: 1,
+    min: 1,
+    pages: ['pubmed'],
+    description: 'Number of interests rendered on the page.'
+  },
+  {
+    name: 'all',
+    type: 'flag',
+    default: false,
+    pages: ['pubmed'],
+    description: '`all=1` renders every enabled interest that matches `type`/`tag`, in list order.'
+  },
+  {
+    name: 'select',
+    type: 'enum',
+    default: 'random',
+    options: SELECTION_MODES,
+    stored: true,
+    pages: ['pubmed'],
+    description: 'How interests are picked: `random`, `round-robin` (continues through the list after the last one shown), `lru` (least recently shown first) or `weighted` (random, using each interest\'s `weight`, default 1; `0` never picks it). Selection history is kept in `localStorage`.'
+  },
+  {
+    name: 'tag',
+    type: 'string',
+    default: '',
+    pages: ['pubmed'],
+    description: 'Filters interests to those carrying this tag before selection.'
+  },
+  {
+    name: 'days',
+    type: 'number',
+    default: 30,
+    min: 1,
+    stored: true,
+    pages: ['pubmed'],
+    description: 'Lookback window in days for the PubMed search.'
+  },
+  {
+    name: 'dateField',
+    type: 'enum',
+    default: 'pdat',
+    options: ['pdat', 'edat', 'mhda', 'crdt'],
+    pages: ['pubmed'],
+    description: 'PubMed date field used for the window: `pdat` (publication date), `edat` (Entrez date, best for catching recent e-pubs), `mhda` (MeSH date) or `crdt` (create date).'
+  },
+  {
+    name: 'from',
+    type: 'date',
+    default: '',
+    pages: ['pubmed'],
+    description: 'Explicit start of the window. Without it, the start is `days` before `to`. The same range is used for the esearch query and the "Open PubMed search" link.'
+  },
+  {
+    name: 'to',
+    type: 'date',
+    default: '',
+    pages: ['pubmed'],
+    description: 'Explicit end of the window; defaults to today.'
+  },
+  {
+    name: 'maxSummaryArticles',
+    type: 'number',
+    default: 10,
+    min: 1,
+    stored: true,
+    pages: ['pubmed'],
+    description: 'Max articles summarized per query.'
+  },
+  {
+    name: 'maxRetrievalArticles',
+    type: 'number',
+    default: 25,
+    min: 1,
+    stored: true,
+    pages: ['pubmed'],
+    description: 'Max PubMed articles retrieved per query. Results are paged from the E-utilities history server, so hundreds or thousands of records can be retrieved.'
+  },
+  {
+    name: 'efetchBatchSize',
+    type: 'number',
+    default: 200,
+    min: 1,
+    max: 10000,
+    stored: true,
+    pages: ['pubmed'],
+    description: 'Number of records requested per `efetch` call when paging through results.'
+  },
+  {
+    name: 'excludePubTypes',
+    type: 'list',
+    default: [],
+    pages: ['pubmed'],
+    description: 'PubMed publication types to drop before ranking and summarization (e.g., `Review,Case Reports`).'
+  },
+  {
+    name: 'requireMesh',
+    type: 'list',
+    default: [],
+    pages: ['pubmed'],
+    description: 'MeSH descriptors every summarized article must carry (e.g., `Humans`). Articles not yet MeSH-indexed are dropped.'
+  },
+  {
+    name: 'institution',
+    type: 'list',
+    default: [],
+    pages: ['pubmed'],
+    description: 'Institution names; keeps articles where any author affiliation contains one of them (case-insensitive), e.g. `Dana-Farber,Broad Institute`.'
+  },
+  {
+    name: 'country',
+    type: 'list',
+    default: [],
+    pages: ['pubmed'],
+    description: 'Countries; keeps articles with at least one author affiliated in one of them (best-effort, read from the end of each affiliation; `USA`, `United States` and `U.S.A.` are treated alike).'
+  },
+  {
+    name: 'flaggedArticles',
+    type: 'enum',
+    default: 'badge',
+    options: ['badge', 'exclude'],
+    pages: ['pubmed'],
+    description: 'How to handle retracted, corrected and concern-flagged articles (read from `CommentsCorrectionsList` and publication types). `badge` keeps them, badges them in the References and tells the model about the retraction or notice; `exclude` drops retracted and concern-flagged articles before summarization (corrected articles are still badged).'
+  },
+  {
+    name: 'minCited',
+    type: 'number',
+    default: 0,
+    min: 0,
+    pages: ['pubmed'],
+    description: 'Minimum OpenAlex cited-by count required to summarize.'
+  },
+  {
+    name: 'abstractMode',
+    type: 'enum',
+    default: 'full',
+    options: ['full', 'findings'],
+    pages: ['pubmed'],
+    description: '`full` sends every abstract section to the model; `findings` sends only the RESULTS and CONCLUSIONS sections of structured abstracts, so findings are not cut off by the abstract length limit. Structured abstracts are always sent as labeled sections.'
+  },
+  {
+    name: 'model',
+    type: 'string',
+    default: '',
+    pages: ['pubmed', 'biorxiv'],
+    description: 'Model name. Defaults to `gpt-5-mini` for `openai` and `claude-sonnet-4-5` for `anthropic`; `openai-compatible` servers need the name they serve the model under (e.g., `llama3.1:8b` in Ollama).'
+  },
+  {
+    name: 'reasoningEffort',
+    type: 'enum',
+    default: 'low',
+    options: ['minimal', 'low', 'medium', 'high'],
+    pages: ['pubmed', 'biorxiv'],
+    description: 'OpenAI reasoning effort (ignored by other providers): `minimal` (10 seconds to response; poor quality), `low` (15-30s), `medium` (30-60s), `high` (???; errors).'
+  },
+  {
+    name: 'promptStyle',
+    type: 'string',
+    default: '',
+    pages: ['pubmed'],
+    description: 'Extra style instruction added to the summary prompt; an interest\'s own `promptStyle` takes precedence.'
+  },
+  {
+    name: 'stream',
+    type: 'flag',
+    default: true,
+    pages: ['pubmed', 'biorxiv'],
+    description: 'Stream summaries into the page as they are generated; `stream=0` waits for the full response.'
+  },
+  {
+    name: 'corsProxy',
+    type: 'string',
+    default: '',
+    stored: true,
+    required: true,
+    pages: ['biorxiv'],
+    description: 'CORS proxy prefix for the bioRxiv RSS feed; the feed URL is appended as `url=`.'
+  },
+  {
+    name: 'category',
+    type: 'string',
+    default: '',
+    pages: ['biorxiv'],
+    description: 'bioRxiv subject category, or `all`. A random category is picked when omitted.'
+  },
+  {
+    name: 'maxBiorxivArticles',
+    type: 'number',
+    default: 25,
+    min: 1,
+    pages: ['biorxiv'],
+    description: 'Max RSS articles read from the bioRxiv feed.'
+  }
+];
+
+/**
+ * Parse and clamp a numeric parameter.
+ * @param {number|string} value
+ * @param {number} fallback
+ * @param {number} minValue
+ * @returns {number}
+ */
+function normalizeNumberParam(value, fallback, minValue) {
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed)) {
+    return fallback;
+  }
+  return Math.max(parsed, minValue);
+}
+
+/**
+ * Split a comma-separated param (or an array of values) into trimmed items.
+ * @param {string|string[]|null|undefined} value
+ * @returns {string[]}
+ */
+function parseListParam(value) {
+  const items = Array.isArray(value) ? value : String(value || '').split(',');
+  return items
+    .map((item) => String(item).trim())
+    .filter(Boolean);
+}
+
+/**
+ * Look up a parameter definition by name.
+ * @param {string} name
+ * @returns {object}
+ */
+function getParamDefinition(name) {
+  const definition = PARAMS.find((param) => param.name === name);
+  if (!definition) {
+    throw new Error(`Unknown parameter: ${name}`);
+  }
+  return definition;
+}
+
+/**
+ * List the parameters used by one page.
+ * @param {'pubmed'|'biorxiv'} page
+ * @returns {object[]}
+ */
+function getPageParams(page) {
+  return PARAMS.filter((param) => param.pages.includes(page));
+}
+
+/**
+ * Convert a raw string into the parameter's type, falling back to its default
+ * when the value is empty or outside the declared options.
+ * @param {object} definition
+ * @param {string|null|undefined} raw
+ * @returns {string|number|boolean|string[]}
+ */
+function coerceParam(definition, raw) {
+  const text = String(raw ?? '').trim();
+  if (!text) {
+    return definition.default;
+  }
+  if (definition.type === 'number') {
+    const value = normalizeNumberParam(text, definition.default, definition.min ?? -Infinity);
+    return Math.min(value, definition.max ?? Infinity);
+  }
+  if (definition.type === 'enum') {
+    const value = text.toLowerCase();
+    return definition.options.includes(value) ? value : definition.default;
+  }
+  if (definition.type === 'list') {
+    return parseListParam(text);
+  }
+  if (definition.type === 'flag') {
+    return text === '1';
+  }
+  return text;
+}
+
+/**
+ * Format a typed value the way it is written in the URL.
+ * @param {object} definition
+ * @param {string|number|boolean|string[]} value
+ * @returns {string}
+ */
+function formatParamValue(definition, value) {
+  if (definition.type === 'list') {
+    return parseListParam(value).join(',');
+  }
+  if (definition.type === 'flag') {
+    return value ? '1' : '0';
+  }
+  return String(value ?? '');
+}
+
+/**
+ * Create a reader that resolves parameters for the current page load.
+ * @param {object} [options]
+ * @param {Object<string, string|number>} [options.profile] Values from the active profile.
+ * @param {object} [options.env] Values from `.env.js`.
+ * @returns {{source: function(string): string, raw: function(string): string, get: function(string): *}}
+ */
+function createParamReader({ profile = {}, env = {} } = {}) {
+  const urlParams = new URLSearchParams(window.location.search);
+  const isShareLink = coerceParam(getParamDefinition('share'), urlParams.get('share'));
+  const fromProfile = (definition) => {
+    const value = definition.type === 'secret' ? undefined : profile[definition.name];
+    return value === undefined || value === null ? '' : String(value);
+  };
+  const fromEnv = (definition) => (definition.env ? String(env?.[definition.env] || '') : '');
+
+  /**
+   * Report where a param value comes from.
+   * @param {string} name
+   * @returns {'env'|'URL'|'profile'|'storage'|'default'}
+   */
+  const source = (name) => {
+    const definition = getParamDefinition(name);
+    if (fromEnv(definition)) {
+      return 'env';
+    }
+    if (urlParams.get(name)) {
+      return 'URL';
+    }
+    if (fromProfile(definition)) {
+      return 'profile';
+    }
+    if (definition.stored && localStorage.getItem(name)) {
+      return 'storage';
+    }
+    return 'default';
+  };
+
+  /**
+   * Get the raw string for a param, or '' when the default applies.
+   * @param {string} name
+   * @returns {string}
+   */
+  const raw = (name) => {
+    const definition = getParamDefinition(name);
+    const from = source(name);
+    if (from === 'env') {
+      return fromEnv(definition);
+    }
+    if (from === 'URL') {
+      return urlParams.get(name);
+    }
+    if (from === 'profile') {
+      return fromProfile(definition);
+    }
+    if (from === 'storage') {
+      return localStorage.getItem(name);
+    }
+    return '';
+  };
+
+  /**
+   * Resolve a typed param value. URL values of stored params are written to
+   * localStorage, unless the page was opened from a share link.
+   * @param {string} name
+   * @returns {string|number|boolean|string[]}
+   */
+  const get = (name) => {
+    const definition = getParamDefinition(name);
+    const value = raw(name);
+    if (definition.stored && !isShareLink && source(name) === 'URL') {
+      localStorage.setItem(name, value);
+    }
+    if (!value && definition.required) {
+      console.error(`ERROR: ${name} is not provided and not found in localStorage`);
+    }
+    return coerceParam(definition, value);
+  };
+
+  return { source, raw, get };
+}
+
+/**
+ * Store every secret param in the URL, then remove them from the address bar
+ * and history entry. Keys the page did not read (another provider's key, or
+ * `ncbiApiKey` on the bioRxiv page) are stored too rather than lost.
+ * @returns {void}
+ */
+function stripSecretParams() {
+  const url = new URL(window.location.href);
+  const secrets = PARAMS
+    .filter((param) => param.type === 'secret' && url.searchParams.has(param.name));
+  if (!secrets.length) {
+    return;
+  }
+  secrets.forEach((param) => {
+    const value = url.searchParams.get(param.name).trim();
+    if (param.stored && value) {
+      localStorage.setItem(param.name, value);
+    }
+    url.searchParams.delete(param.name);
+  });
+  window.history.replaceState(window.history.state, '', url.toString());
+}
+
+/**
+ * Build the README parameter table as Markdown.
+ * @returns {string}
+ */
+function buildParamsMarkdown() {
+  const escapeCell = (text) => String(text).replace(/\|/g, '\\|');
+  const rows = PARAMS.map((param) => {
+    const defaultValue = formatParamValue(param, param.default);
+    const bounds = [
+      param.options ? param.options.map((option) => `\`${option}\``).join(', ') : '',
+      param.min !== undefined ? `min ${param.min}` : '',
+      param.max !== undefined ? `max ${param.max}` : ''
+    ].filter(Boolean).join('; ');
+    return [
+      `\`${param.name}\`${param.required ? ' (required)' : ''}`,
+      param.pages.join(', '),
+      param.type,
+      defaultValue ? `\`${defaultValue}\`` : '',
+      bounds,
+      param.stored ? 'yes' : '',
+      param.description
+    ].map(escapeCell).join(' | ');
+  });
+  return [
+    '| Parameter | Page | Type | Default | Allowed | Stored | Description |',
+    '| --- | --- | --- | --- | --- | --- | --- |',
+    ...rows.map((row) => `| ${row} |`)
+  ].join('\n');
+}
+
+export {
+  PARAMS,
+  normalizeNumberParam,
+  parseListParam,
+  getParamDefinition,
+  getPageParams,
+  coerceParam,
+  formatParamValue,
+  createParamReader,
+  stripSecretParams,
+  buildParamsMarkdown
+};
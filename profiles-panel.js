@@ -0,0 +1,177 @@
+import { PROFILE_FIELDS, loadProfiles, saveProfiles } from './profiles.js';
+
+const NUMBER_FIELDS = {
+  days: 1,
+  maxSummaryArticles: 1,
+  maxRetrievalArticles: 1,
+  minCited: 0
+};
+
+/**
+ * Build a link to the current page with a profile selected. Bundled fields are
+ * dropped from the URL because URL values take precedence over the profile.
+ * @param {string} name
+ * @returns {string}
+ */
+function buildProfileUrl(name) {
+  const url = new URL(window.location.href);
+  PROFILE_FIELDS.forEach((field) => url.searchParams.delete(field));
+  url.searchParams.set('profile', name);
+  return url.toString();
+}
+
+/**
+ * Build an input for one profile field.
+ * @param {string} field
+ * @param {string|number|undefined} value
+ * @returns {HTMLInputElement}
+ */
+function buildFieldInput(field, value) {
+  const input = document.createElement('input');
+  input.name = field;
+  input.placeholder = field;
+  input.value = value ?? '';
+  if (Object.prototype.hasOwnProperty.call(NUMBER_FIELDS, field)) {
+    input.type = 'number';
+    input.min = String(NUMBER_FIELDS[field]);
+  }
+  return input;
+}
+
+/**
+ * Read a field input back into a profile value; invalid numbers are dropped.
+ * @param {HTMLInputElement} input
+ * @returns {string|number|undefined}
+ */
+function readFieldInput(input) {
+  const raw = input.value.trim();
+  if (!raw) {
+    return undefined;
+  }
+  if (!Object.prototype.hasOwnProperty.call(NUMBER_FIELDS, input.name)) {
+    return raw;
+  }
+  const parsed = Number(raw);
+  return Number.isFinite(parsed) ? Math.max(parsed, NUMBER_FIELDS[input.name]) : undefined;
+}
+
+/**
+ * Render the named profiles editor. Profiles bundle days, limits, minCited,
+ * type, model and reasoning effort and are selected with ?profile=NAME.
+ * @param {HTMLElement} container
+ * @param {object} options
+ * @param {string} options.activeProfile Name of the profile in use, if any.
+ * @param {Object<string, string|number>} options.currentSettings Resolved values offered for "Save current settings".
+ * @returns {void}
+ */
+function renderProfilesPanel(container, { activeProfile, currentSettings }) {
+  let profiles = loadProfiles();
+
+  const details = document.createElement('details');
+  details.className = 'profiles-panel';
+  const summary = document.createElement('summary');
+  summary.textContent = activeProfile ? `Profiles (using ${activeProfile})` : 'Profiles';
+  details.appendChild(summary);
+
+  const statusEl = document.createElement('p');
+  const table = document.createElement('table');
+  const headRow = document.createElement('tr');
+  ['Name', ...PROFILE_FIELDS, ''].forEach((label) => {
+    const th = document.createElement('th');
+    th.textContent = label;
+    headRow.appendChild(th);
+  });
+  const thead = document.createElement('thead');
+  thead.appendChild(headRow);
+  const tbody = document.createElement('tbody');
+  table.append(thead, tbody);
+
+  const persist = (message) => {
+    profiles = saveProfiles(profiles);
+    statusEl.textContent = message;
+  };
+
+  const renderRows = () => {
+    tbody.innerHTML = '';
+    Object.entries(profiles).forEach(([name, profile]) => {
+      const row = document.createElement('tr');
+
+      const nameCell = document.createElement('td');
+      const useLink = document.createElement('a');
+      useLink.href = buildProfileUrl(name);
+      useLink.textContent = name === activeProfile ? `${name} (active)` : name;
+      nameCell.appendChild(useLink);
+      row.appendChild(nameCell);
+
+      PROFILE_FIELDS.forEach((field) => {
+        const cell = document.createElement('td');
+        const input = buildFieldInput(field, profile[field]);
+        input.addEventListener('change', () => {
+          // Saving replaces every profile object, so edit the current copy by name.
+          const updated = { ...profiles[name] };
+          const value = readFieldInput(input);
+          if (value === undefined) {
+            delete updated[field];
+            input.value = '';
+          } else {
+            updated[field] = value;
+            input.value = String(value);
+          }
+          profiles[name] = updated;
+          persist(`Saved ${name}. Reload to apply.`);
+        });
+        cell.appendChild(input);
+        row.appendChild(cell);
+      });
+
+      const actionsCell = document.createElement('td');
+      const deleteButton = document.createElement('button');
+      deleteButton.type = 'button';
+      deleteButton.textContent = 'Delete';
+      deleteButton.addEventListener('click', () => {
+        delete profiles[name];
+        persist(`Deleted ${name}.`);
+        renderRows();
+      });
+      actionsCell.appendChild(deleteButton);
+      row.appendChild(actionsCell);
+
+      tbody.appendChild(row);
+    });
+  };
+
+  const addForm = document.createElement('form');
+  const nameInput = document.createElement('input');
+  nameInput.placeholder = 'New profile name';
+  nameInput.required = true;
+  const addEmptyButton = document.createElement('button');
+  addEmptyButton.type = 'submit';
+  addEmptyButton.textContent = 'Add empty profile';
+  const saveCurrentButton = document.createElement('button');
+  saveCurrentButton.type = 'button';
+  saveCurrentButton.textContent = 'Save current settings as profile';
+  addForm.append(nameInput, ' ', addEmptyButton, ' ', saveCurrentButton);
+
+  const addProfile = (profile) => {
+    const name = nameInput.value.trim();
+    if (!name) {
+      statusEl.textContent = 'Enter a profile name first.';
+      return;
+    }
+    profiles[name] = profile;
+    persist(`Saved ${name}.`);
+    renderRows();
+    addForm.reset();
+  };
+  addForm.addEventListener('submit', (event) => {
+    event.preventDefault();
+    addProfile({});
+  });
+  saveCurrentButton.addEventListener('click', () => addProfile({ ...currentSettings }));
+
+  details.append(table, addForm, statusEl);
+  renderRows();
+  container.appendChild(details);
+}
+
+export { renderProfilesPanel };
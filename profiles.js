@@ -0,0 +1,105 @@
+const PROFILE_FIELDS = [
+  'days',
+  'maxSummaryArticles',
+  'maxRetrievalArticles',
+  'minCited',
+  'type',
+  'model',
+  'reasoningEffort'
+];
+
+const DEFAULT_PROFILES = {
+  'weekly-journals': {
+    days: 7,
+    type: 'journal',
+    minCited: 1,
+    maxSummaryArticles: 10
+  },
+  'daily-topics': {
+    days: 1,
+    type: 'topic',
+    model: 'gpt-5-mini',
+    reasoningEffort: 'minimal'
+  }
+};
+
+const STORE_KEY = 'profiles';
+
+/**
+ * Keep only known profile fields with non-empty values.
+ * @param {object} raw
+ * @returns {Object<string, string|number>}
+ */
+function normalizeProfile(raw) {
+  const profile = {};
+  if (!raw || typeof raw !== 'object') {
+    return profile;
+  }
+  PROFILE_FIELDS.forEach((field) => {
+    const value = raw[field];
+    if (value === undefined || value === null || String(value).trim() === '') {
+      return;
+    }
+    profile[field] = typeof value === 'number' ? value : String(value).trim();
+  });
+  return profile;
+}
+
+/**
+ * Load named profiles from localStorage, falling back to the defaults.
+ * @returns {Object<string, Object<string, string|number>>}
+ */
+function loadProfiles() {
+  const stored = localStorage.getItem(STORE_KEY);
+  if (!stored) {
+    return { ...DEFAULT_PROFILES };
+  }
+  try {
+    const parsed = JSON.parse(stored);
+    return Object.entries(parsed || {}).reduce((acc, [name, profile]) => {
+      acc[name] = normalizeProfile(profile);
+      return acc;
+    }, {});
+  } catch (error) {
+    console.error('ERROR: Failed to read stored profiles; using defaults', error);
+    return { ...DEFAULT_PROFILES };
+  }
+}
+
+/**
+ * Persist named profiles to localStorage.
+ * @param {Object<string, object>} profiles
+ * @returns {Object<string, Object<string, string|number>>}
+ */
+function saveProfiles(profiles) {
+  const normalized = Object.entries(profiles).reduce((acc, [name, profile]) => {
+    const trimmed = name.trim();
+    if (trimmed) {
+      acc[trimmed] = normalizeProfile(profile);
+    }
+    return acc;
+  }, {});
+  localStorage.setItem(STORE_KEY, JSON.stringify(normalized));
+  return normalized;
+}
+
+/**
+ * Look up a profile by name.
+ * @param {string} name
+ * @returns {Object<string, string|number>|null}
+ */
+function getProfile(name) {
+  if (!name) {
+    return null;
+  }
+  const profiles = loadProfiles();
+  return Object.prototype.hasOwnProperty.call(profiles, name) ? profiles[name] : null;
+}
+
+export {
+  PROFILE_FIELDS,
+  normalizeProfile,
+  loadProfiles,
+  saveProfiles,
+  getProfile
+};
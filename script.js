@@ -1,211 +1,355 @@
-import { INTERESTS } from './interests.js';
+import { INTEREST_TYPES, loadInterests } from './interests-store.js';
+import { renderInterestsPanel } from './interests-panel.js';
+import { selectInterests, recordShown, pruneHistory } from './interest-selection.js';
+import { PROFILE_FIELDS, getProfile } from './profiles.js';
+import { renderProfilesPanel } from './profiles-panel.js';
+import {
+  normalizeNumberParam,
+  parseListParam,
+  getParamDefinition,
+  getPageParams,
+  formatParamValue,
+  createParamReader,
+  stripSecretParams
+} from './params.js';
+import { renderSettingsPanel } from './settings-panel.js';
+import { escapeHtml, buildGptSummary, buildCitationReportHtml } from './summary-core.js';
+import { setSafeHtml } from './html-sanitizer.js';
+import { getProvider } from './llm-providers.js';
 import { SCIMAGO_SJR } from './scimago.js';
+import { buildErrorRemediation, fetchJson, fetchXml } from './http.js';
 
-const VERSION = 'v0.0.25';
+const VERSION = 'v0.0.50';
 
 const CONFIG = {
   pubmedBaseUrl: 'https://pubmed.ncbi.nlm.nih.gov',
+  pmcBaseUrl: 'https://pmc.ncbi.nlm.nih.gov/articles',
+  doiBaseUrl: 'https://doi.org',
   eutilsBaseUrl: 'https://eutils.ncbi.nlm.nih.gov/entrez/eutils',
+  eutilsRequestsPerSecond: 3,
+  eutilsRequestsPerSecondWithKey: 10,
   openAlexBaseUrl: 'https://api.openalex.org/works',
-  openaiResponsesUrl: 'https://api.openai.com/v1/responses',
-  openaiModel: 'gpt-5-mini',
-  reasoningEffort: 'low',
-  days: 30,
-  maxSummaryArticles: 10,
   maxTopicSummaryArticles: 10,
-  maxRetrievalArticles: 25,
-  randomInterests: 1,
+  journalCacheKey: 'journalCatalogCache',
+  journalCacheDays: 30,
+  openAlexBatchSize: 50,
+  retrievalConcurrency: 3,
+  llmConcurrency: 2,
   maxAbstractChars: 5000,
-  maxOutputTokens: 5000
+  findingsCategories: ['RESULTS', 'CONCLUSIONS']
 };
 
 /**
- * Get a query parameter from the current URL.
- * @param {string} param
- * @returns {string|null}
+ * Format a date for PubMed date-field query usage.
+ * @param {Date} date
+ * @returns {string}
  */
-function getQueryParam(param) {
-  const urlParams = new URLSearchParams(window.location.search);
-  return urlParams.get(param);
+function formatPDat(date) {
+  const yyyy = date.getFullYear();
+  const mm = String(date.getMonth() + 1).padStart(2, '0');
+  const dd = String(date.getDate()).padStart(2, '0');
+  return `${yyyy}/${mm}/${dd}`;
 }
 
 /**
- * Resolve a required param from the URL or localStorage.
- * @param {string} param
- * @returns {string|null}
+ * Format a date as YYYY-MM-DD.
+ * @param {Date} date
+ * @returns {string}
  */
-function getParamValue(param) {
-  let value = getQueryParam(param);
+function formatIsoDate(date) {
+  const yyyy = date.getFullYear();
+  const mm = String(date.getMonth() + 1).padStart(2, '0');
+  const dd = String(date.getDate()).padStart(2, '0');
+  return `${yyyy}-${mm}-${dd}`;
+}
 
-  if (value) {
-    localStorage.setItem(param, value);
-  } else {
-    value = localStorage.getItem(param);
+/**
+ * Parse a YYYY-MM-DD string as a local date.
+ * @param {string} value
+ * @returns {Date|null}
+ */
+function parseIsoDate(value) {
+  const match = String(value || '').trim().match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!match) {
+    return null;
   }
-
-  if (!value) {
-    console.error(`ERROR: ${param} is not provided and not found in localStorage`);
+  const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  if (date.getMonth() !== Number(match[2]) - 1) {
+    return null;
   }
-
-  return value;
+  return date;
 }
 
+const DATE_FIELDS = {
+  edat: 'EDAT',
+  pdat: 'PDAT',
+  mhda: 'MHDA',
+  crdt: 'CRDT'
+};
+
 /**
- * Resolve an optional param from the URL with a fallback value.
- * @param {string} param
- * @param {string} fallback
- * @returns {string}
+ * Build a PubMed date range on the chosen date field.
+ * Explicit from/to dates win over the day count; a missing end defaults to today
+ * and a missing start is counted back from the end.
+ * @param {number} daysBack
+ * @param {{dateField?: string, from?: string, to?: string}} [dateWindow]
+ * @returns {{range: string, start: Date, end: Date, field: string, days: number}}
  */
-function getOptionalParam(param, fallback) {
-  const value = getQueryParam(param);
-  if (value) {
-    return value;
+function buildDateRange(daysBack, { dateField = getParamDefinition('dateField').default, from = '', to = '' } = {}) {
+  const fieldKey = String(dateField || '').toLowerCase();
+  if (fieldKey && !DATE_FIELDS[fieldKey]) {
+    console.warn(`Unknown dateField "${dateField}"; using ${getParamDefinition('dateField').default}.`);
+  }
+  const field = DATE_FIELDS[fieldKey] || DATE_FIELDS[getParamDefinition('dateField').default];
+  const fromDate = parseIsoDate(from);
+  const toDate = parseIsoDate(to);
+  if (from && !fromDate) {
+    console.warn(`Ignoring invalid from date "${from}"; expected YYYY-MM-DD.`);
+  }
+  if (to && !toDate) {
+    console.warn(`Ignoring invalid to date "${to}"; expected YYYY-MM-DD.`);
+  }
+
+  let end = toDate || new Date();
+  let start = fromDate;
+  if (!start) {
+    start = new Date(end);
+    start.setDate(end.getDate() - daysBack);
+  }
+  if (start > end) {
+    [start, end] = [end, start];
   }
-  return fallback;
+  return {
+    range: `("${formatPDat(start)}"[${field}] : "${formatPDat(end)}"[${field}])`,
+    start,
+    end,
+    field,
+    days: Math.max(Math.round((end - start) / 86400000), 1)
+  };
 }
 
 /**
- * Resolve an optional param from the URL or localStorage with a fallback value.
- * @param {string} param
- * @param {string|number} fallback
- * @returns {string|number}
+ * Ensure a query includes the hasabstract filter.
+ * @param {string} pubmedQuery
+ * @returns {string}
  */
-function getStoredOptionalParam(param, fallback) {
-  const value = getQueryParam(param);
-  if (value) {
-    localStorage.setItem(param, value);
-    return value;
-  }
-  const stored = localStorage.getItem(param);
-  if (stored) {
-    return stored;
+function ensureHasAbstract(pubmedQuery) {
+  if (pubmedQuery.toLowerCase().includes('hasabstract')) {
+    return pubmedQuery;
   }
-  return fallback;
+  return `(${pubmedQuery}) AND hasabstract`;
 }
 
 /**
- * Parse and clamp a numeric parameter.
- * @param {number|string} value
- * @param {number} fallback
- * @param {number} minValue
- * @returns {number}
+ * Quote a value for a PubMed field-tagged search term.
+ * @param {string} value
+ * @returns {string}
  */
-function normalizeNumberParam(value, fallback, minValue) {
-  const parsed = Number(value);
-  if (!Number.isFinite(parsed)) {
-    return fallback;
-  }
-  return Math.max(parsed, minValue);
+function quotePubmedTerm(value) {
+  return `"${String(value).trim().replace(/"/g, '')}"`;
 }
 
 /**
- * Select random items without mutating the original array.
- * @template T
- * @param {T[]} items
- * @param {number} count
- * @returns {T[]}
+ * Build the journal query; journals resolved through the NLM Catalog are queried by ISSN.
+ * @param {{query: string}} interest
+ * @param {{nlmId: string, issns: string[]}|null} journalInfo
+ * @returns {string}
  */
-function pickRandomItems(items, count) {
-  const copy = items.slice();
-  for (let i = copy.length - 1; i > 0; i -= 1) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [copy[i], copy[j]] = [copy[j], copy[i]];
+function buildJournalQuery(interest, journalInfo) {
+  if (journalInfo?.issns?.length) {
+    const issnTerms = journalInfo.issns.map((issn) => `${quotePubmedTerm(issn)}[issn]`).join(' OR ');
+    return `(${issnTerms}) AND (journal article[pt])`;
   }
-  return copy.slice(0, Math.min(count, copy.length));
+  return `(${quotePubmedTerm(interest.query)}[jour]) AND (journal article[pt])`;
 }
 
 /**
- * Format a date for PubMed [PDat] query usage.
- * @param {Date} date
+ * Build the author query, preferring an exact ORCID match when one is given.
+ * @param {{query: string, orcid?: string}} interest
  * @returns {string}
  */
-function formatPDat(date) {
-  const yyyy = date.getFullYear();
-  const mm = String(date.getMonth() + 1).padStart(2, '0');
-  const dd = String(date.getDate()).padStart(2, '0');
-  return `${yyyy}/${mm}/${dd}`;
+function buildAuthorQuery(interest) {
+  const orcid = String(interest.orcid || '').trim();
+  if (orcid) {
+    return `(${quotePubmedTerm(orcid)}[auid])`;
+  }
+  return `(${quotePubmedTerm(interest.query)}[au])`;
 }
 
 /**
- * Format a date as YYYY-MM-DD.
- * @param {Date} date
+ * Build the MeSH query, restricted to major topics when majorTopic is set.
+ * @param {{query: string, majorTopic?: boolean}} interest
  * @returns {string}
  */
-function formatIsoDate(date) {
-  const yyyy = date.getFullYear();
-  const mm = String(date.getMonth() + 1).padStart(2, '0');
-  const dd = String(date.getDate()).padStart(2, '0');
-  return `${yyyy}-${mm}-${dd}`;
+function buildMeshQuery(interest) {
+  const field = interest.majorTopic ? 'majr' : 'mh';
+  return `(${quotePubmedTerm(interest.query)}[${field}])`;
 }
 
 /**
- * Build a PubMed date range with a start and end date.
- * @param {number} daysBack
- * @returns {{range: string, start: Date, end: Date}}
+ * Build the affiliation query.
+ * @param {{query: string}} interest
+ * @returns {string}
  */
-function buildDateRange(daysBack) {
-  const today = new Date();
-  const past = new Date();
-  past.setDate(today.getDate() - daysBack);
-  return {
-    range: `("${formatPDat(past)}"[PDat] : "${formatPDat(today)}"[PDat])`,
-    start: past,
-    end: today
-  };
+function buildAffiliationQuery(interest) {
+  return `(${quotePubmedTerm(interest.query)}[ad])`;
 }
 
 /**
- * Ensure a query includes the hasabstract filter.
- * @param {string} pubmedQuery
+ * Build the grant number or agency query.
+ * @param {{query: string}} interest
  * @returns {string}
  */
-function ensureHasAbstract(pubmedQuery) {
-  if (pubmedQuery.toLowerCase().includes('hasabstract')) {
-    return pubmedQuery;
-  }
-  return `(${pubmedQuery}) AND hasabstract`;
+function buildGrantQuery(interest) {
+  return `(${quotePubmedTerm(interest.query)}[gr])`;
 }
 
+const INTEREST_QUERY_BUILDERS = {
+  topic: (interest) => `(${interest.query})`,
+  journal: buildJournalQuery,
+  author: buildAuthorQuery,
+  mesh: buildMeshQuery,
+  affiliation: buildAffiliationQuery,
+  grant: buildGrantQuery
+};
+
+const INTEREST_TYPE_LABELS = {
+  topic: 'topic',
+  journal: 'journal',
+  author: 'author',
+  mesh: 'MeSH',
+  affiliation: 'affiliation',
+  grant: 'grant'
+};
+
 /**
- * Build a PubMed query from a topic or journal interest.
+ * Build a PubMed query from an interest using the builder for its type.
  * @param {{query: string, type: string}} interest
+ * @param {{nlmId: string, issns: string[]}|null} [journalInfo]
  * @returns {string}
  */
-function buildPubmedQuery(interest) {
-  if (interest.type === 'journal') {
-    return ensureHasAbstract(`("${interest.query}"[jour]) AND (journal article[pt])`);
-  }
-  return ensureHasAbstract(`(${interest.query})`);
+function buildPubmedQuery(interest, journalInfo) {
+  const builder = INTEREST_QUERY_BUILDERS[interest.type] || INTEREST_QUERY_BUILDERS.topic;
+  return ensureHasAbstract(builder(interest, journalInfo));
 }
 
 /**
- * Build a PubMed search link that mirrors the query window.
+ * Build a PubMed search link that mirrors the esearch query and date range.
  * @param {string} pubmedQuery
- * @param {number} days
+ * @param {{range: string}} dateRange
  * @returns {string}
  */
-function buildPubmedSearchLink(pubmedQuery, days) {
-  const today = new Date();
-  const start = new Date();
-  start.setDate(today.getDate() - days);
-  const term = `(${pubmedQuery}) AND ("${formatIsoDate(start)}"[pdat] : "${formatIsoDate(today)}"[pdat])`;
+function buildPubmedSearchLink(pubmedQuery, dateRange) {
+  const term = `(${pubmedQuery}) AND ${dateRange.range}`;
   const params = new URLSearchParams({ term });
   return `${CONFIG.pubmedBaseUrl}/?${params.toString()}`;
 }
 
 /**
- * Fetch and parse XML from a URL.
- * @param {string} url
+ * Create a scheduler that spaces task starts to stay under a request rate.
+ * @param {number} requestsPerSecond
+ * @returns {{setRate: function(number): void, schedule: function(function(): Promise<*>): Promise<*>}}
+ */
+function createRateLimiter(requestsPerSecond) {
+  let intervalMs = 1000 / requestsPerSecond;
+  let nextSlot = 0;
+  return {
+    setRate(rate) {
+      intervalMs = 1000 / rate;
+    },
+    schedule(task) {
+      const now = Date.now();
+      const start = Math.max(now, nextSlot);
+      nextSlot = start + intervalMs;
+      return new Promise((resolve) => {
+        setTimeout(resolve, start - now);
+      }).then(task);
+    }
+  };
+}
+
+const eutilsScheduler = createRateLimiter(CONFIG.eutilsRequestsPerSecond);
+
+/**
+ * Create a queue that runs at most `limit` tasks at a time, in submission order.
+ * @param {number} limit
+ * @returns {{run: function(function(): Promise<*>): Promise<*>}}
+ */
+function createConcurrencyQueue(limit) {
+  let active = 0;
+  const pending = [];
+  const next = () => {
+    if (active >= limit || !pending.length) {
+      return;
+    }
+    const { task, resolve, reject } = pending.shift();
+    active += 1;
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        active -= 1;
+        next();
+      });
+  };
+  return {
+    run(task) {
+      return new Promise((resolve, reject) => {
+        pending.push({ task, resolve, reject });
+        next();
+      });
+    }
+  };
+}
+
+const retrievalQueue = createConcurrencyQueue(CONFIG.retrievalConcurrency);
+const llmQueue = createConcurrencyQueue(CONFIG.llmConcurrency);
+
+const eutilsIdentity = {
+  apiKey: '',
+  tool: getParamDefinition('tool').default,
+  email: ''
+};
+
+/**
+ * Set the NCBI API key, tool and email sent with every E-utilities request.
+ * @param {{apiKey?: string, tool?: string, email?: string}} identity
+ * @returns {void}
+ */
+function configureEutils({ apiKey, tool, email }) {
+  eutilsIdentity.apiKey = String(apiKey || '').trim();
+  eutilsIdentity.tool = String(tool || '').trim() || getParamDefinition('tool').default;
+  eutilsIdentity.email = String(email || '').trim();
+  eutilsScheduler.setRate(
+    eutilsIdentity.apiKey ? CONFIG.eutilsRequestsPerSecondWithKey : CONFIG.eutilsRequestsPerSecond
+  );
+}
+
+/**
+ * Fetch XML from an E-utilities endpoint through the shared rate limiter.
+ * @param {string} endpoint
+ * @param {Object<string, string>} params
+ * @param {AbortSignal} [signal] Cancels the request, including a pending retry.
  * @returns {Promise<Document>}
  */
-async function fetchXml(url) {
-  const response = await fetch(url);
-  if (!response.ok) {
-    throw new Error(`HTTP error: ${response.status}`);
+function fetchEutilsXml(endpoint, params, signal) {
+  const searchParams = new URLSearchParams(params);
+  if (eutilsIdentity.apiKey) {
+    searchParams.set('api_key', eutilsIdentity.apiKey);
   }
-  const text = await response.text();
-  const parser = new DOMParser();
-  return parser.parseFromString(text, 'application/xml');
+  if (eutilsIdentity.tool) {
+    searchParams.set('tool', eutilsIdentity.tool);
+  }
+  if (eutilsIdentity.email) {
+    searchParams.set('email', eutilsIdentity.email);
+  }
+  const url = `${CONFIG.eutilsBaseUrl}/${endpoint}?${searchParams.toString()}`;
+  // Every attempt, retries included, takes a slot so backoff cannot exceed the NCBI rate.
+  return fetchXml(url, {
+    service: 'PubMed',
+    signal,
+    throttle: () => eutilsScheduler.schedule(() => {})
+  });
 }
 
 /**
@@ -265,6 +409,28 @@ function parsePubDate(articleNode) {
   return year;
 }
 
+/**
+ * Format an author node as "LastName Initials" (or a collective name).
+ * @param {Element} author
+ * @returns {string}
+ */
+function formatAuthorName(author) {
+  const lastName = author.querySelector('LastName')?.textContent?.trim() || '';
+  const initials = author.querySelector('Initials')?.textContent?.trim() || '';
+  const foreName = author.querySelector('ForeName')?.textContent?.trim() || '';
+  const collectiveName = author.querySelector('CollectiveName')?.textContent?.trim() || '';
+  if (lastName && initials) {
+    return `${lastName} ${initials}`;
+  }
+  if (lastName && foreName) {
+    return `${lastName} ${foreName}`;
+  }
+  if (lastName) {
+    return lastName;
+  }
+  return collectiveName;
+}
+
 /**
  * Extract author names from a PubMed article node.
  * @param {Element} articleNode
@@ -273,25 +439,91 @@ function parsePubDate(articleNode) {
 function parseAuthors(articleNode) {
   const authorNodes = Array.from(articleNode.querySelectorAll('AuthorList > Author'));
   const authors = authorNodes
-    .map((author) => {
-      const lastName = author.querySelector('LastName')?.textContent?.trim() || '';
-      const initials = author.querySelector('Initials')?.textContent?.trim() || '';
-      const foreName = author.querySelector('ForeName')?.textContent?.trim() || '';
-      if (lastName && initials) {
-        return `${lastName} ${initials}`;
-      }
-      if (lastName && foreName) {
-        return `${lastName} ${foreName}`;
-      }
-      if (lastName) {
-        return lastName;
-      }
-      return '';
-    })
+    .map((author) => formatAuthorName(author))
     .filter(Boolean);
   return authors.join(', ');
 }
 
+const COUNTRY_ALIASES = {
+  usa: 'USA',
+  us: 'USA',
+  'u.s.a': 'USA',
+  'u.s': 'USA',
+  'united states': 'USA',
+  'united states of america': 'USA',
+  uk: 'UK',
+  'u.k': 'UK',
+  'united kingdom': 'UK',
+  'great britain': 'UK',
+  england: 'UK',
+  scotland: 'UK',
+  wales: 'UK',
+  'northern ireland': 'UK',
+  'p.r. china': 'China',
+  'pr china': 'China',
+  "people's republic of china": 'China',
+  'republic of korea': 'South Korea',
+  korea: 'South Korea',
+  'the netherlands': 'Netherlands',
+  holland: 'Netherlands'
+};
+
+/**
+ * Normalize a country name so aliases (e.g., "United States", "U.S.A.") compare equal.
+ * @param {string} value
+ * @returns {string}
+ */
+function normalizeCountry(value) {
+  const cleaned = String(value || '')
+    .replace(/[\d-]+/g, ' ')
+    .replace(/\.+$/, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+  return COUNTRY_ALIASES[cleaned.toLowerCase()] || cleaned;
+}
+
+const INSTITUTION_PATTERN = /\b(universit|institut|hospital|cent(er|re)|college|school|laborator|foundation|consortium|clinic|academy|agency|inc\b|ltd\b|gmbh)/i;
+
+/**
+ * Best-effort split of an affiliation string into institution and country.
+ * @param {string} text
+ * @returns {{text: string, institution: string, country: string}}
+ */
+function parseAffiliation(text) {
+  const cleaned = String(text || '')
+    .replace(/electronic address:.*$/i, '')
+    .replace(/\S+@\S+/g, '')
+    .replace(/[\s.;,]+$/, '')
+    .trim();
+  const segments = cleaned
+    .split(/[,;]/)
+    .map((segment) => segment.trim())
+    .filter(Boolean);
+  const institution = segments.find((segment) => INSTITUTION_PATTERN.test(segment)) || '';
+  const country = segments.length > 1 ? normalizeCountry(segments[segments.length - 1]) : '';
+  return {
+    text: cleaned,
+    institution,
+    country
+  };
+}
+
+/**
+ * Extract per-author affiliations from a PubMed article node.
+ * @param {Element} articleNode
+ * @returns {Array<{name: string, affiliations: Array<{text: string, institution: string, country: string}>}>}
+ */
+function parseAuthorAffiliations(articleNode) {
+  return Array.from(articleNode.querySelectorAll('AuthorList > Author'))
+    .map((author) => ({
+      name: formatAuthorName(author),
+      affiliations: Array.from(author.querySelectorAll('AffiliationInfo > Affiliation'))
+        .map((node) => parseAffiliation(node.textContent))
+        .filter((affiliation) => affiliation.text)
+    }))
+    .filter((author) => author.name);
+}
+
 /**
  * Normalize an ISSN for SJR lookup.
  * @param {string} value
@@ -335,67 +567,360 @@ function getMaxSjr(issns) {
   return maxValue;
 }
 
+/**
+ * Extract abstract sections with their Label and NlmCategory attributes.
+ * Unstructured abstracts yield a single section with empty label and category.
+ * @param {Element} articleNode
+ * @returns {Array<{label: string, category: string, text: string}>}
+ */
+function parseAbstractSections(articleNode) {
+  return Array.from(articleNode.querySelectorAll('AbstractText'))
+    .map((node) => ({
+      label: (node.getAttribute('Label') || '').trim(),
+      category: (node.getAttribute('NlmCategory') || '').trim().toUpperCase(),
+      text: node.textContent.trim()
+    }))
+    .filter((section) => section.text);
+}
+
+/**
+ * Extract MeSH descriptors with major-topic flags and qualifiers.
+ * @param {Element} articleNode
+ * @returns {Array<{descriptor: string, majorTopic: boolean, qualifiers: string[]}>}
+ */
+function parseMeshHeadings(articleNode) {
+  return Array.from(articleNode.querySelectorAll('MeshHeadingList > MeshHeading'))
+    .map((heading) => {
+      const descriptorNode = heading.querySelector('DescriptorName');
+      const qualifierNodes = Array.from(heading.querySelectorAll('QualifierName'));
+      return {
+        descriptor: descriptorNode?.textContent?.trim() || '',
+        majorTopic: descriptorNode?.getAttribute('MajorTopicYN') === 'Y'
+          || qualifierNodes.some((node) => node.getAttribute('MajorTopicYN') === 'Y'),
+        qualifiers: qualifierNodes.map((node) => node.textContent.trim()).filter(Boolean)
+      };
+    })
+    .filter((heading) => heading.descriptor);
+}
+
+/**
+ * Extract author keywords from every KeywordList.
+ * @param {Element} articleNode
+ * @returns {string[]}
+ */
+function parseKeywords(articleNode) {
+  const keywords = Array.from(articleNode.querySelectorAll('KeywordList > Keyword'))
+    .map((node) => node.textContent.trim())
+    .filter(Boolean);
+  return Array.from(new Set(keywords));
+}
+
+/**
+ * Extract publication types (e.g., Journal Article, Review, Case Reports).
+ * @param {Element} articleNode
+ * @returns {string[]}
+ */
+function parsePublicationTypes(articleNode) {
+  return Array.from(articleNode.querySelectorAll('PublicationTypeList > PublicationType'))
+    .map((node) => node.textContent.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Extract the article's own DOI and PMCID, ignoring ids in the reference list.
+ * @param {Element} articleNode
+ * @returns {{doi: string, pmcid: string}}
+ */
+function parseArticleIds(articleNode) {
+  const idNodes = Array.from(articleNode.querySelectorAll('PubmedData > ArticleIdList > ArticleId'));
+  const findId = (idType) => idNodes
+    .find((node) => node.getAttribute('IdType') === idType)
+    ?.textContent?.trim() || '';
+  const elocationDoi = articleNode.querySelector('ELocationID[EIdType="doi"]')?.textContent?.trim() || '';
+  const pmcid = findId('pmc');
+  return {
+    doi: findId('doi') || elocationDoi,
+    pmcid: pmcid && !pmcid.toUpperCase().startsWith('PMC') ? `PMC${pmcid}` : pmcid.toUpperCase()
+  };
+}
+
+const INTEGRITY_REF_TYPES = {
+  RetractionIn: 'retracted',
+  ErratumIn: 'corrected',
+  CorrectedandRepublishedIn: 'corrected',
+  ExpressionOfConcernIn: 'concern'
+};
+
+const INTEGRITY_PUB_TYPES = {
+  'retracted publication': 'retracted',
+  'expression of concern': 'concern'
+};
+
+/**
+ * Detect retraction, erratum and expression-of-concern notices for an article.
+ * @param {Element} articleNode
+ * @param {string[]} publicationTypes
+ * @returns {{retracted: boolean, corrected: boolean, concern: boolean, notices: Array<{type: string, pmid: string, source: string}>}}
+ */
+function parseIntegrity(articleNode, publicationTypes) {
+  const notices = Array.from(articleNode.querySelectorAll('CommentsCorrectionsList > CommentsCorrections'))
+    .map((node) => ({
+      type: INTEGRITY_REF_TYPES[node.getAttribute('RefType')] || '',
+      pmid: node.querySelector('PMID')?.textContent?.trim() || '',
+      source: node.querySelector('RefSource')?.textContent?.trim() || ''
+    }))
+    .filter((notice) => notice.type);
+  const flags = new Set(notices.map((notice) => notice.type));
+  publicationTypes.forEach((pubType) => {
+    const flag = INTEGRITY_PUB_TYPES[pubType.toLowerCase()];
+    if (flag) {
+      flags.add(flag);
+    }
+  });
+  return {
+    retracted: flags.has('retracted'),
+    corrected: flags.has('corrected'),
+    concern: flags.has('concern'),
+    notices
+  };
+}
+
 /**
  * Parse a PubMed XML article into a normalized object.
  * @param {Element} articleNode
- * @returns {{pmid: string, title: string, journal: string, abstract: string, authors: string, pubDate: string, issns: string[], sjr: number, pubmedUrl: string}}
+ * @returns {{pmid: string, title: string, journal: string, abstract: string, abstractSections: Array<{label: string, category: string, text: string}>, authors: string, authorAffiliations: Array<{name: string, affiliations: Array<{text: string, institution: string, country: string}>}>, pubDate: string, issns: string[], sjr: number, meshHeadings: Array<{descriptor: string, majorTopic: boolean, qualifiers: string[]}>, keywords: string[], publicationTypes: string[], integrity: {retracted: boolean, corrected: boolean, concern: boolean, notices: Array<{type: string, pmid: string, source: string}>}, doi: string, pmcid: string, pubmedUrl: string}}
  */
 function parsePubmedArticle(articleNode) {
   const pmid = articleNode.querySelector('PMID')?.textContent?.trim() || '';
   const title = articleNode.querySelector('ArticleTitle')?.textContent?.trim() || '';
   const journal = articleNode.querySelector('Journal > Title')?.textContent?.trim() || '';
-  const abstractParts = Array.from(articleNode.querySelectorAll('AbstractText'))
-    .map((node) => node.textContent.trim())
-    .filter(Boolean);
-  const abstract = abstractParts.join(' ');
+  const abstractSections = parseAbstractSections(articleNode);
+  const abstract = abstractSections.map((section) => section.text).join(' ');
   const authors = parseAuthors(articleNode);
+  const authorAffiliations = parseAuthorAffiliations(articleNode);
   const pubDate = parsePubDate(articleNode);
   const issns = extractIssns(articleNode);
   const sjr = getMaxSjr(issns);
+  const meshHeadings = parseMeshHeadings(articleNode);
+  const keywords = parseKeywords(articleNode);
+  const publicationTypes = parsePublicationTypes(articleNode);
+  const integrity = parseIntegrity(articleNode, publicationTypes);
+  const { doi, pmcid } = parseArticleIds(articleNode);
 
   return {
     pmid,
     title,
     journal,
     abstract,
+    abstractSections,
     authors,
+    authorAffiliations,
     pubDate,
     issns,
     sjr,
+    meshHeadings,
+    keywords,
+    publicationTypes,
+    integrity,
+    doi,
+    pmcid,
     pubmedUrl: pmid ? `${CONFIG.pubmedBaseUrl}/${pmid}/` : ''
   };
 }
 
+/**
+ * Run an esearch query and keep the result set on the E-utilities history server.
+ * @param {string} term
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<{count: number, webEnv: string, queryKey: string}>}
+ */
+async function esearchHistory(term, signal) {
+  const esearchXml = await fetchEutilsXml('esearch.fcgi', {
+    db: 'pubmed',
+    usehistory: 'y',
+    retmax: '0',
+    term
+  }, signal);
+  const count = Number(esearchXml.querySelector('Count')?.textContent || 0);
+  const webEnv = esearchXml.querySelector('WebEnv')?.textContent?.trim() || '';
+  const queryKey = esearchXml.querySelector('QueryKey')?.textContent?.trim() || '';
+  return {
+    count: Number.isFinite(count) ? count : 0,
+    webEnv,
+    queryKey
+  };
+}
+
+/**
+ * Fetch PubMed article nodes from the history server in batches.
+ * @param {{webEnv: string, queryKey: string}} history
+ * @param {number} total
+ * @param {number} batchSize
+ * @param {AbortSignal} [signal] Checked before each batch.
+ * @returns {Promise<Element[]>}
+ */
+async function efetchHistoryArticles(history, total, batchSize, signal) {
+  const size = Math.min(Math.max(Math.floor(batchSize), 1), getParamDefinition('efetchBatchSize').max);
+  const nodes = [];
+  for (let retstart = 0; retstart < total; retstart += size) {
+    signal?.throwIfAborted();
+    const efetchXml = await fetchEutilsXml('efetch.fcgi', {
+      db: 'pubmed',
+      retmode: 'xml',
+      query_key: history.queryKey,
+      WebEnv: history.webEnv,
+      retstart: String(retstart),
+      retmax: String(Math.min(size, total - retstart))
+    }, signal);
+    const batch = Array.from(efetchXml.querySelectorAll('PubmedArticle'));
+    if (!batch.length) {
+      break;
+    }
+    nodes.push(...batch);
+  }
+  return nodes;
+}
+
+/**
+ * Read the journal resolution cache from localStorage.
+ * @returns {Object<string, {nlmId: string, issns: string[], title: string, resolvedAt: number}>}
+ */
+function readJournalCache() {
+  try {
+    return JSON.parse(localStorage.getItem(CONFIG.journalCacheKey) || '{}') || {};
+  } catch (error) {
+    console.warn('Ignoring unreadable journal cache:', error);
+    return {};
+  }
+}
+
+/**
+ * Store one resolved journal in the localStorage cache.
+ * @param {string} key
+ * @param {{nlmId: string, issns: string[], title: string}} journalInfo
+ * @returns {void}
+ */
+function writeJournalCache(key, journalInfo) {
+  const cache = readJournalCache();
+  cache[key] = { ...journalInfo, resolvedAt: Date.now() };
+  localStorage.setItem(CONFIG.journalCacheKey, JSON.stringify(cache));
+}
+
+/**
+ * Read the text of esummary DocSum items by name (case-insensitive).
+ * @param {Element} docSum
+ * @param {string} name
+ * @returns {string[]}
+ */
+function getDocSumItems(docSum, name) {
+  const wanted = name.toLowerCase();
+  return Array.from(docSum.querySelectorAll('Item'))
+    .filter((item) => (item.getAttribute('Name') || '').toLowerCase() === wanted)
+    .map((item) => item.textContent.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Resolve a journal name to its NLM ID and ISSNs through the NLM Catalog.
+ * Only an exact title abbreviation or title match, or a single unambiguous hit, is accepted.
+ * @param {string} name
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<{nlmId: string, issns: string[], title: string}|null>}
+ */
+async function lookupJournalInCatalog(name, signal) {
+  const esearchXml = await fetchEutilsXml('esearch.fcgi', {
+    db: 'nlmcatalog',
+    retmax: '20',
+    term: `(${quotePubmedTerm(name)}[ta] OR ${quotePubmedTerm(name)}[ti]) AND ncbijournals[filter]`
+  }, signal);
+  const ids = Array.from(esearchXml.querySelectorAll('IdList > Id')).map((node) => node.textContent.trim());
+  if (!ids.length) {
+    return null;
+  }
+
+  const esummaryXml = await fetchEutilsXml('esummary.fcgi', {
+    db: 'nlmcatalog',
+    id: ids.join(',')
+  }, signal);
+  const normalizeTitle = (value) => value.toLowerCase().replace(/[.\s]+$/, '').replace(/\s+/g, ' ');
+  const wanted = normalizeTitle(name);
+  const candidates = Array.from(esummaryXml.querySelectorAll('DocSum')).map((docSum) => ({
+    nlmId: getDocSumItems(docSum, 'NLMUniqueID')[0] || '',
+    issns: Array.from(new Set(getDocSumItems(docSum, 'ISSN').map((issn) => issn.toUpperCase()))),
+    title: getDocSumItems(docSum, 'MedlineTA')[0] || getDocSumItems(docSum, 'Title')[0] || '',
+    names: [...getDocSumItems(docSum, 'MedlineTA'), ...getDocSumItems(docSum, 'Title')].map(normalizeTitle)
+  })).filter((candidate) => candidate.issns.length);
+
+  const match = candidates.find((candidate) => candidate.names.includes(wanted))
+    || (candidates.length === 1 ? candidates[0] : null);
+  if (!match) {
+    return null;
+  }
+  return {
+    nlmId: match.nlmId,
+    issns: match.issns,
+    title: match.title
+  };
+}
+
+/**
+ * Resolve a journal interest to its NLM ID and ISSNs, using the local cache when fresh.
+ * @param {string} name
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<{nlmId: string, issns: string[], title: string}|null>}
+ */
+async function resolveJournal(name, signal) {
+  const key = name.trim().toLowerCase();
+  const cached = readJournalCache()[key];
+  const maxAgeMs = CONFIG.journalCacheDays * 86400000;
+  if (cached && Date.now() - (cached.resolvedAt || 0) < maxAgeMs) {
+    return cached;
+  }
+  const journalInfo = await lookupJournalInCatalog(name.trim(), signal);
+  if (journalInfo) {
+    writeJournalCache(key, journalInfo);
+  }
+  return journalInfo;
+}
+
 /**
  * Fetch recent PubMed articles for an interest.
  * @param {{query: string, type: string}} interest
- * @param {number} days
+ * @param {{range: string, start: Date, end: Date, field: string, days: number}} dateRange
  * @param {number} maxRetrievalArticles
- * @returns {Promise<{articles: Array<{pmid: string, title: string, journal: string, abstract: string, authors: string, pubDate: string, issns: string[], sjr: number, pubmedUrl: string}>, pubmedQuery: string, dateRange: {range: string, start: Date, end: Date}, searchLink: string, totalCount: number}>}
+ * @param {number} efetchBatchSize
+ * @param {AbortSignal} [signal] Cancels the journal lookup, esearch and efetch requests.
+ * @returns {Promise<{articles: Array<{pmid: string, title: string, journal: string, abstract: string, authors: string, pubDate: string, issns: string[], sjr: number, pubmedUrl: string}>, pubmedQuery: string, dateRange: {range: string, start: Date, end: Date, field: string, days: number}, searchLink: string, totalCount: number, warnings: string[]}>}
  */
-async function fetchPubmedArticles(interest, days, maxRetrievalArticles) {
-  const pubmedQuery = buildPubmedQuery(interest);
-  const dateRange = buildDateRange(days);
+async function fetchPubmedArticles(interest, dateRange, maxRetrievalArticles, efetchBatchSize, signal) {
+  const warnings = [];
+  let journalInfo = null;
+  if (interest.type === 'journal') {
+    journalInfo = await resolveJournal(interest.query, signal);
+    if (!journalInfo) {
+      warnings.push(`Journal "${interest.query}" could not be resolved in the NLM Catalog; matching by name with [jour] instead.`);
+    }
+  }
+  const pubmedQuery = buildPubmedQuery(interest, journalInfo);
   const fullQuery = `(${pubmedQuery}) AND ${dateRange.range}`;
-  const esearchUrl = `${CONFIG.eutilsBaseUrl}/esearch.fcgi?db=pubmed&retmax=${maxRetrievalArticles}&term=${encodeURIComponent(fullQuery)}`;
 
-  const esearchXml = await fetchXml(esearchUrl);
-  const totalCount = Number(esearchXml.querySelector('Count')?.textContent || 0);
-  const pmids = Array.from(esearchXml.querySelectorAll('Id')).map((node) => node.textContent.trim());
+  const history = await esearchHistory(fullQuery, signal);
+  const totalCount = history.count;
+  const retrievalCount = Math.min(totalCount, maxRetrievalArticles);
 
-  if (pmids.length === 0) {
+  if (retrievalCount === 0 || !history.webEnv || !history.queryKey) {
     return {
       articles: [],
       pubmedQuery,
       dateRange,
-      searchLink: buildPubmedSearchLink(pubmedQuery, days),
-      totalCount
+      searchLink: buildPubmedSearchLink(pubmedQuery, dateRange),
+      totalCount,
+      warnings
     };
   }
 
-  const efetchUrl = `${CONFIG.eutilsBaseUrl}/efetch.fcgi?db=pubmed&retmode=xml&id=${pmids.join(',')}`;
-  const efetchXml = await fetchXml(efetchUrl);
-  const articles = Array.from(efetchXml.querySelectorAll('PubmedArticle'))
+  const articleNodes = await efetchHistoryArticles(history, retrievalCount, efetchBatchSize, signal);
+  const articles = articleNodes
     .map((node) => parsePubmedArticle(node))
     .filter((article) => article.pmid && article.abstract);
 
@@ -403,11 +928,82 @@ async function fetchPubmedArticles(interest, days, maxRetrievalArticles) {
     articles,
     pubmedQuery,
     dateRange,
-    searchLink: buildPubmedSearchLink(pubmedQuery, days),
-    totalCount
+    searchLink: buildPubmedSearchLink(pubmedQuery, dateRange),
+    totalCount,
+    warnings
   };
 }
 
+/**
+ * Merge URL-level article filters with filters declared on an interest.
+ * @param {{excludePubTypes: string[], requireMesh: string[], institution: string[], country: string[], excludeFlagged: boolean}} articleFilters
+ * @param {{excludePubTypes?: string|string[], requireMesh?: string|string[], institution?: string|string[], country?: string|string[]}} interest
+ * @returns {{excludePubTypes: string[], requireMesh: string[], institution: string[], country: string[], excludeFlagged: boolean}}
+ */
+function resolveArticleFilters(articleFilters, interest) {
+  const merge = (base, extra) => Array.from(new Set([...base, ...parseListParam(extra)]));
+  return {
+    excludePubTypes: merge(articleFilters.excludePubTypes, interest.excludePubTypes),
+    requireMesh: merge(articleFilters.requireMesh, interest.requireMesh),
+    institution: merge(articleFilters.institution, interest.institution),
+    country: merge(articleFilters.country, interest.country),
+    excludeFlagged: Boolean(articleFilters.excludeFlagged)
+  };
+}
+
+/**
+ * Check whether any author affiliation matches the institution and country filters.
+ * Institutions match as case-insensitive substrings of the full affiliation text.
+ * @param {Array<{affiliations: Array<{text: string, country: string}>}>} authorAffiliations
+ * @param {string[]} institutions
+ * @param {string[]} countries
+ * @returns {boolean}
+ */
+function matchesAffiliationFilters(authorAffiliations, institutions, countries) {
+  if (!institutions.length && !countries.length) {
+    return true;
+  }
+  const wantedInstitutions = institutions.map((value) => value.toLowerCase());
+  const wantedCountries = countries.map((value) => normalizeCountry(value).toLowerCase());
+  const affiliations = authorAffiliations.flatMap((author) => author.affiliations);
+  const institutionMatch = !wantedInstitutions.length || affiliations.some((affiliation) => {
+    const text = affiliation.text.toLowerCase();
+    return wantedInstitutions.some((value) => text.includes(value));
+  });
+  const countryMatch = !wantedCountries.length || affiliations.some((affiliation) => (
+    wantedCountries.includes(affiliation.country.toLowerCase())
+  ));
+  return institutionMatch && countryMatch;
+}
+
+/**
+ * Drop articles with an excluded publication type, a missing required MeSH descriptor,
+ * or no author affiliation matching the institution and country filters. With
+ * excludeFlagged, retracted and concern-flagged articles are dropped as well.
+ * Matching is case-insensitive; articles not yet MeSH-indexed fail any requireMesh filter.
+ * @param {Array<{publicationTypes: string[], meshHeadings: Array<{descriptor: string}>, authorAffiliations: Array<object>, integrity: {retracted: boolean, concern: boolean}}>} articles
+ * @param {{excludePubTypes: string[], requireMesh: string[], institution: string[], country: string[], excludeFlagged: boolean}} filters
+ * @returns {Array<object>}
+ */
+function filterArticles(articles, filters) {
+  const excluded = filters.excludePubTypes.map((value) => value.toLowerCase());
+  const required = filters.requireMesh.map((value) => value.toLowerCase());
+  return articles.filter((article) => {
+    if (filters.excludeFlagged && (article.integrity.retracted || article.integrity.concern)) {
+      return false;
+    }
+    const pubTypes = article.publicationTypes.map((value) => value.toLowerCase());
+    if (pubTypes.some((value) => excluded.includes(value))) {
+      return false;
+    }
+    const descriptors = article.meshHeadings.map((heading) => heading.descriptor.toLowerCase());
+    if (!required.every((value) => descriptors.includes(value))) {
+      return false;
+    }
+    return matchesAffiliationFilters(article.authorAffiliations, filters.institution, filters.country);
+  });
+}
+
 /**
  * Extract a PMID from OpenAlex ids.
  * @param {object} ids
@@ -433,9 +1029,10 @@ function extractPmidFromOpenAlexIds(ids) {
 /**
  * Fetch OpenAlex cited-by counts for a list of PMIDs.
  * @param {string[]} pmids
+ * @param {AbortSignal} [signal]
  * @returns {Promise<Object<string, number>>}
  */
-async function fetchOpenAlexCitedByCounts(pmids) {
+async function fetchOpenAlexCitedByCounts(pmids, signal) {
   if (!pmids.length) {
     return {};
   }
@@ -446,11 +1043,7 @@ async function fetchOpenAlexCitedByCounts(pmids) {
     'per-page': String(Math.min(100, pmids.length))
   });
   const url = `${CONFIG.openAlexBaseUrl}?${params.toString()}`;
-  const response = await fetch(url);
-  if (!response.ok) {
-    throw new Error(`OpenAlex request failed with ${response.status}`);
-  }
-  const data = await response.json();
+  const data = await fetchJson(url, { service: 'OpenAlex', signal });
   const results = Array.isArray(data?.results) ? data.results : [];
   const mapping = {};
   results.forEach((row) => {
@@ -467,11 +1060,17 @@ async function fetchOpenAlexCitedByCounts(pmids) {
 /**
  * Attach OpenAlex cited-by counts to articles.
  * @param {Array<{pmid: string}>} articles
+ * @param {AbortSignal} [signal] Checked before each batch.
  * @returns {Promise<Array<{pmid: string, citedByCount: number}>>}
  */
-async function attachCitedByCounts(articles) {
+async function attachCitedByCounts(articles, signal) {
   const pmids = articles.map((article) => article.pmid).filter(Boolean);
-  const mapping = await fetchOpenAlexCitedByCounts(pmids);
+  const mapping = {};
+  for (let start = 0; start < pmids.length; start += CONFIG.openAlexBatchSize) {
+    signal?.throwIfAborted();
+    const batch = pmids.slice(start, start + CONFIG.openAlexBatchSize);
+    Object.assign(mapping, await fetchOpenAlexCitedByCounts(batch, signal));
+  }
   return articles.map((article) => ({
     ...article,
     citedByCount: mapping[article.pmid] ?? 0
@@ -479,106 +1078,107 @@ async function attachCitedByCounts(articles) {
 }
 
 /**
- * Escape HTML special characters.
- * @param {string} value
+ * Build a PMID anchor link.
+ * @param {string} pmid
  * @returns {string}
  */
-function escapeHtml(value) {
-  return String(value)
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/"/g, '&quot;')
-    .replace(/'/g, '&#39;');
+function buildPmidLink(pmid) {
+  return `<a href="${CONFIG.pubmedBaseUrl}/${pmid}/" target="_blank">PMID: ${pmid}</a>`;
 }
 
 /**
- * Build a PMID anchor link.
+ * Format a plain-text citation for copying.
  * @param {string} pmid
+ * @param {{title?: string, journal?: string, authors?: string, pubDate?: string, doi?: string, pmcid?: string}} [article]
  * @returns {string}
  */
-function buildPmidLink(pmid) {
-  return `<a href="${CONFIG.pubmedBaseUrl}/${pmid}/" target="_blank">PMID: ${pmid}</a>`;
+function formatCitation(pmid, article) {
+  const authorList = parseListParam(article?.authors);
+  const authors = authorList.length > 6
+    ? `${authorList.slice(0, 3).join(', ')}, et al`
+    : authorList.join(', ');
+  const parts = [
+    authors,
+    article?.title ? article.title.replace(/\.$/, '') : '',
+    article?.journal || '',
+    article?.pubDate || '',
+    article?.doi ? `doi:${article.doi}` : '',
+    `PMID: ${pmid}`,
+    article?.pmcid ? `PMCID: ${article.pmcid}` : ''
+  ].filter(Boolean);
+  return `${parts.join('. ')}.`;
 }
 
 /**
- * Extract PMIDs from a text string.
- * @param {string} text
- * @returns {string[]}
+ * Build DOI, PMC full-text and copy-citation links for a reference entry.
+ * @param {string} pmid
+ * @param {{doi?: string, pmcid?: string}} [article]
+ * @returns {string}
  */
-function extractPmids(text) {
-  const regex = /(https?:\/\/pubmed\.ncbi\.nlm\.nih\.gov\/(\d+)\/)|\bPMID:\s*(\d+)\b/gi;
-  const found = [];
-  const seen = new Set();
-  let match = regex.exec(text);
-  while (match) {
-    const pmid = match[2] || match[3];
-    if (pmid && !seen.has(pmid)) {
-      seen.add(pmid);
-      found.push(pmid);
-    }
-    match = regex.exec(text);
+function buildReferenceLinksHtml(pmid, article) {
+  const links = [];
+  if (article?.doi) {
+    const doiUrl = `${CONFIG.doiBaseUrl}/${encodeURI(article.doi)}`;
+    links.push(`<a href="${escapeHtml(doiUrl)}" target="_blank" rel="noopener">DOI: ${escapeHtml(article.doi)}</a>`);
+  }
+  if (article?.pmcid) {
+    const pmcUrl = `${CONFIG.pmcBaseUrl}/${encodeURIComponent(article.pmcid)}/`;
+    links.push(`<a href="${pmcUrl}" target="_blank" rel="noopener">PMC free full text</a>`);
   }
-  return found;
+  const citation = escapeHtml(formatCitation(pmid, article));
+  links.push(`<button type="button" class="copy-citation" data-citation="${citation}">Copy citation</button>`);
+  return ` <span class="reference-links">${links.join(' | ')}</span>`;
 }
 
 /**
- * Append missing PMIDs to the final paragraph list.
- * @param {string[]} paragraphs
- * @param {string[]} missingPmids
- * @returns {string[]}
+ * Copy a reference citation to the clipboard when its button is clicked.
+ * @param {HTMLElement} container
+ * @returns {void}
  */
-function appendMissingPmids(paragraphs, missingPmids) {
-  if (!missingPmids.length) {
-    return paragraphs;
-  }
-  const citations = missingPmids.map((pmid) => buildPmidLink(pmid)).join('; ');
-  const suffix = ` (${citations}).`;
-  const updated = paragraphs.slice();
-  if (updated.length === 0) {
-    updated.push(`Summary${suffix}`);
-  } else {
-    const lastIndex = updated.length - 1;
-    updated[lastIndex] = `${updated[lastIndex].trim()}${suffix}`;
-  }
-  return updated;
+function attachCopyCitationHandler(container) {
+  container.addEventListener('click', (event) => {
+    const button = event.target.closest('button.copy-citation');
+    if (!button) {
+      return;
+    }
+    navigator.clipboard.writeText(button.dataset.citation || '')
+      .then(() => {
+        button.textContent = 'Copied';
+      })
+      .catch((error) => {
+        console.error('ERROR: Failed to copy citation', error);
+        button.textContent = 'Copy failed';
+      });
+  });
 }
 
 /**
- * Normalize summary HTML into paragraph strings.
- * @param {string} text
- * @returns {string[]}
+ * Build retraction, correction and concern badges for a reference entry.
+ * @param {{integrity?: {retracted: boolean, corrected: boolean, concern: boolean}}} [article]
+ * @returns {string}
  */
-function normalizeSummaryParagraphs(text) {
-  const summaryMatches = Array.from(
-    text.matchAll(/<p[^>]*class=["']summary["'][^>]*>([\s\S]*?)<\/p>/gi)
-  );
-  if (summaryMatches.length > 0) {
-    return summaryMatches.map((match) => match[1].trim()).filter(Boolean);
+function buildIntegrityBadgesHtml(article) {
+  const integrity = article?.integrity;
+  if (!integrity) {
+    return '';
   }
-
-  const paragraphMatches = Array.from(
-    text.matchAll(/<p[^>]*>([\s\S]*?)<\/p>/gi)
-  );
-  if (paragraphMatches.length > 0) {
-    return paragraphMatches.map((match) => match[1].trim()).filter(Boolean);
+  const badges = [];
+  if (integrity.retracted) {
+    badges.push('<strong class="integrity-badge retracted">[RETRACTED]</strong>');
   }
-
-  const split = text
-    .split(/\n{2,}/)
-    .map((line) => line.trim())
-    .filter(Boolean);
-  if (split.length > 0) {
-    return split;
+  if (integrity.concern) {
+    badges.push('<strong class="integrity-badge concern">[EXPRESSION OF CONCERN]</strong>');
   }
-
-  return text.trim() ? [text.trim()] : [];
+  if (integrity.corrected) {
+    badges.push('<strong class="integrity-badge corrected">[CORRECTED]</strong>');
+  }
+  return badges.length ? `${badges.join(' ')} ` : '';
 }
 
 /**
  * Build HTML for the References section.
  * @param {string[]} pmidsInOrder
- * @param {Object<string, {title?: string, journal?: string}>} articlesByPmid
+ * @param {Object<string, {title?: string, journal?: string, authors?: string, pubDate?: string, doi?: string, pmcid?: string}>} articlesByPmid
  * @param {number} papersFound
  * @param {number} papersSummarized
  * @returns {string}
@@ -598,56 +1198,78 @@ function buildBibliographyHtml(pmidsInOrder, articlesByPmid, papersFound, papers
       const title = article?.title ? escapeHtml(article.title) : `PMID ${pmid}`;
       const journal = article?.journal ? escapeHtml(article.journal) : '';
       const url = `${CONFIG.pubmedBaseUrl}/${pmid}/`;
+      const linksHtml = buildReferenceLinksHtml(pmid, article);
+      const badgesHtml = buildIntegrityBadgesHtml(article);
       if (journal) {
-        return `<p class="reference-entry">PMID: ${pmid} - <a href="${url}" target="_blank">${title}</a>. ${journal}.</p>`;
+        return `<p class="reference-entry">PMID: ${pmid} - ${badgesHtml}<a href="${url}" target="_blank">${title}</a>. ${journal}.${linksHtml}</p>`;
       }
-      return `<p class="reference-entry">PMID: ${pmid} - <a href="${url}" target="_blank">${title}</a>.</p>`;
+      return `<p class="reference-entry">PMID: ${pmid} - ${badgesHtml}<a href="${url}" target="_blank">${title}</a>.${linksHtml}</p>`;
     })
     .join('');
   return `<h3 class="references-title">References${headingSuffix}</h3>${entries}`;
 }
 
 /**
- * Extract output text from an OpenAI Responses API payload.
- * @param {object} responseJson
- * @returns {string}
+ * Build the abstract passed to the LLM prompt, truncated to maxAbstractChars.
+ * Structured abstracts become an object keyed by section label; in findings mode
+ * only RESULTS and CONCLUSIONS sections are kept when the abstract has them.
+ * @param {{abstract: string, abstractSections?: Array<{label: string, category: string, text: string}>}} article
+ * @param {string} abstractMode
+ * @returns {string|Object<string, string>}
  */
-function extractOutputText(responseJson) {
-  if (responseJson.output_text && responseJson.output_text.trim()) {
-    return responseJson.output_text.trim();
-  }
-  const output = responseJson.output;
-  if (!Array.isArray(output)) {
-    return '';
+function buildPromptAbstract(article, abstractMode) {
+  const sections = article.abstractSections || [];
+  const isStructured = sections.some((section) => section.label || section.category);
+  if (!isStructured) {
+    return article.abstract.replace(/\s+/g, ' ').trim().slice(0, CONFIG.maxAbstractChars);
   }
-  const parts = [];
-  output.forEach((item) => {
-    if (!item || typeof item !== 'object') {
-      return;
-    }
-    const content = item.content;
-    if (!Array.isArray(content)) {
+
+  const findings = sections.filter((section) => (
+    CONFIG.findingsCategories.includes(section.category)
+    || CONFIG.findingsCategories.includes(section.label.toUpperCase())
+  ));
+  const selected = abstractMode === 'findings' && findings.length ? findings : sections;
+
+  const labeled = {};
+  let remaining = CONFIG.maxAbstractChars;
+  selected.forEach((section) => {
+    if (remaining <= 0) {
       return;
     }
-    content.forEach((chunk) => {
-      if (!chunk || typeof chunk !== 'object') {
-        return;
-      }
-      if ((chunk.type === 'output_text' || chunk.type === 'summary_text') && typeof chunk.text === 'string') {
-        const trimmed = chunk.text.trim();
-        if (trimmed) {
-          parts.push(trimmed);
-        }
-      }
-    });
+    const label = (section.label || section.category || 'TEXT').toUpperCase();
+    const text = section.text.replace(/\s+/g, ' ').trim().slice(0, remaining);
+    remaining -= text.length;
+    labeled[label] = labeled[label] ? `${labeled[label]} ${text}` : text;
   });
-  return parts.join('\n').trim();
+  return labeled;
 }
 
 /**
- * Build a GPT summary with PMID-linked citations.
+ * Describe an article's retraction, concern or correction status for the LLM prompt.
+ * @param {{integrity?: {retracted: boolean, corrected: boolean, concern: boolean}}} article
+ * @returns {string}
+ */
+function buildIntegrityNotice(article) {
+  const integrity = article.integrity;
+  if (!integrity) {
+    return '';
+  }
+  if (integrity.retracted) {
+    return 'RETRACTED: this paper has been retracted; its findings must not be presented as valid.';
+  }
+  if (integrity.concern) {
+    return 'EXPRESSION OF CONCERN: the journal has published an expression of concern about this paper.';
+  }
+  if (integrity.corrected) {
+    return 'CORRECTED: an erratum or correction has been published for this paper.';
+  }
+  return '';
+}
+
+/**
+ * Summarize articles with PMID-linked citations, a citation check and a References section.
  * @param {object} options
- * @param {string} options.apiKey
+ * @param {{provider: string, apiKey: string, baseUrl: string}} options.llm
  * @param {string} options.query
  * @param {number} options.days
  * @param {Array<{pmid: string, title: string, journal: string, abstract: string, authors: string, pubDate: string, issns: string[], sjr: number, pubmedUrl: string}>} options.articles
@@ -656,10 +1278,14 @@ function extractOutputText(responseJson) {
  * @param {string} options.model
  * @param {string} options.reasoningEffort
  * @param {boolean} options.rankedByCitations
+ * @param {string} options.abstractMode
+ * @param {string} [options.promptStyle]
+ * @param {function(string): void} [options.onPartial] Receives partial summary HTML while the response streams.
+ * @param {AbortSignal} [options.signal] Cancels the LLM request.
  * @returns {Promise<string>}
  */
-async function buildGptSummary({
-  apiKey,
+async function summarizeArticles({
+  llm,
   query,
   days,
   articles,
@@ -667,56 +1293,62 @@ async function buildGptSummary({
   papersSummarized,
   model,
   reasoningEffort,
-  rankedByCitations
+  rankedByCitations,
+  abstractMode,
+  promptStyle = '',
+  onPartial,
+  signal
 }) {
   const papersForPrompt = articles.map((article) => {
-    const abstract = article.abstract.replace(/\s+/g, ' ').trim().slice(0, CONFIG.maxAbstractChars);
+    const integrityNotice = buildIntegrityNotice(article);
     return {
       pmid: article.pmid,
       title: article.title,
       journal: article.journal,
       date: article.pubDate,
       authors: article.authors,
-      abstract
+      ...(integrityNotice ? { integrity_notice: integrityNotice } : {}),
+      abstract: buildPromptAbstract(article, abstractMode)
     };
   });
 
+  const abstractNote = abstractMode === 'findings'
+    ? 'Structured abstracts are given as labeled sections and may contain only RESULTS and CONCLUSIONS; base the summary on the findings.'
+    : 'Structured abstracts are given as labeled sections (e.g., BACKGROUND, METHODS, RESULTS, CONCLUSIONS).';
+
   const rankingNote = rankedByCitations
     ? 'Papers are already selected and ranked; do not mention citation counts.'
     : 'Papers are already selected; do not mention citation counts.';
 
-  const systemPrompt = `You write an RSS description as HTML.
-Output MUST be 1 to 3 short paragraphs wrapped in <p class="summary"> tags only.
-No bibliography, no headings, no lists (<ul>/<ol>/<li>), no Markdown.
+  const styleNote = promptStyle
+    ? `\nStyle (follow unless it conflicts with the rules above): ${promptStyle}`
+    : '';
+
+  const systemPrompt = `You write an RSS description as JSON following the given schema.
+The summary MUST be 1 to 3 short paragraphs; each paragraph is a list of sentences.
+Sentence text is plain text: no HTML, no Markdown, no links and no PMIDs in the text.
+No bibliography, no headings, no lists.
 Rules:
 - No em dashes.
 - Use only the provided abstracts; do not add facts.
-- Never provide a list of articles or bullet points outside the References section.
+- ${abstractNote}
+- Never provide a list of articles or bullet points.
 - ${rankingNote}
 - Do not mention OpenAlex or citation counts.
+- If a paper has an integrity_notice, say so explicitly in the sentence that cites it (e.g., "a since-retracted study"); never present a retracted paper's findings as valid.
 - Connect related papers instead of summarizing each paper separately.
-- Do not put all citations after a single sentence; spread them across sentences.
+- Do not put all citations on a single sentence; spread them across sentences.
 - Sentences should cite a maximum of 4 PMIDs; more than 4 PMIDs split into other sentences.
 - The majority of sentences should cite at least 2 PMIDs.
 - Connect the papers by some meaningful topic (e.g., studies in different age groups, methological papers, mouse studies, etc.)
 - Total length less than 500 words.
-- Cite EVERY paper at least once using inline citations at sentence ends.
+- Cite EVERY paper at least once.
 - Sentences should never be composed of only citations.
-- Citation format must use linked PMIDs like:
-  (<a href="https://pubmed.ncbi.nlm.nih.gov/12345/" target="_blank">PMID: 12345</a>;
-   <a href="https://pubmed.ncbi.nlm.nih.gov/67890/" target="_blank">PMID: 67890</a>).
-- Do not include hyperlinks other than PMID citation links.
+- List the papers a sentence cites in its "citations" array as bare PMIDs from the input (e.g., "41571237"); citation links are added automatically.
 - Do not include a references section; it will be appended automatically.
 - Do not include a Recent articles section.
-- References are appended after the summary using:
-  <h3 class="references-title">References</h3>
-  and <p class="reference-entry">PMID: 12345 - Title. Journal.</p>
 Example:
-<p class="summary">Recent ACC studies link rare clinical phenotypes and germline
-predisposition to evolving molecular diagnostics and preclinical models: a first-reported
-ectopic pancreatic ACC emphasizes unusual presentations
-(<a href="https://pubmed.ncbi.nlm.nih.gov/41571237/" target="_blank">PMID: 41571237</a>;
-<a href="https://pubmed.ncbi.nlm.nih.gov/41542508/" target="_blank">PMID: 41542508</a>).</p>`;
+{"paragraphs": [{"sentences": [{"text": "Recent ACC studies link rare clinical phenotypes and germline predisposition to evolving molecular diagnostics and preclinical models: a first-reported ectopic pancreatic ACC emphasizes unusual presentations.", "citations": ["41571237", "41542508"]}]}]}${styleNote}`;
 
   const userPrompt = JSON.stringify(
     {
@@ -727,184 +1359,342 @@ ectopic pancreatic ACC emphasizes unusual presentations
     null,
     2
   );
-  console.log('LLM system prompt:', systemPrompt);
-  console.log('LLM user prompt:', userPrompt);
-  if (!apiKey) {
-    throw new Error('Missing OpenAI API key.');
-  }
-
-  const body = {
+  const { summaryHtml, citedItems, citationReport } = await buildGptSummary({
+    ...llm,
     model,
-    max_output_tokens: CONFIG.maxOutputTokens,
-    reasoning: { effort: reasoningEffort },
-    input: [
-      { role: 'system', content: [{ type: 'input_text', text: systemPrompt }] },
-      { role: 'user', content: [{ type: 'input_text', text: userPrompt }] }
-    ],
-    text: { verbosity: 'low' }
-  };
-
-  const response = await fetch(CONFIG.openaiResponsesUrl, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      Authorization: `Bearer ${apiKey}`
-    },
-    body: JSON.stringify(body)
+    reasoningEffort,
+    systemPrompt,
+    userPrompt,
+    onPartial,
+    signal,
+    items: articles.map((article) => ({
+      key: article.pmid,
+      buildLink: () => buildPmidLink(article.pmid),
+      article
+    }))
   });
 
-  if (!response.ok) {
-    throw new Error(`OpenAI request failed with ${response.status}`);
-  }
-
-  const json = await response.json();
-  let text = extractOutputText(json);
-  if (!text) {
-    throw new Error('OpenAI summary was empty.');
-  }
-  console.log('LLM raw output:', text);
-
-  if (text.startsWith('```')) {
-    text = text.replace(/^```[a-zA-Z]*\n?/, '').replace(/```$/, '').trim();
-  }
-
-  text = text.replace(/\r\n/g, '\n');
-  text = text.replace(/<\/?(ul|ol|li|h[1-6])[^>]*>/gi, ' ');
-  text = text.split(/<p[^>]*>\s*References\s*<\/p>/i)[0].trim();
-  text = text.split(/^\s*References\s*$/im)[0].trim();
-
-  const paragraphs = normalizeSummaryParagraphs(text);
-  if (!paragraphs.length) {
-    throw new Error('OpenAI summary could not be parsed into paragraphs.');
-  }
-
-  const pmids = articles.map((article) => article.pmid).filter(Boolean);
-  const mentioned = extractPmids(paragraphs.join(' '));
-  const missing = pmids.filter((pmid) => !mentioned.includes(pmid));
-  const finalParagraphs = appendMissingPmids(paragraphs, missing);
-
-  const summaryHtml = finalParagraphs
-    .filter((paragraph) => paragraph.trim())
-    .map((paragraph) => `<p class="summary">${paragraph}</p>`)
-    .join('');
-
-  const pmidsInOrder = extractPmids(finalParagraphs.join(' '));
   const articlesByPmid = articles.reduce((acc, article) => {
     acc[article.pmid] = article;
     return acc;
   }, {});
 
   const bibliographyHtml = buildBibliographyHtml(
-    pmidsInOrder,
+    citedItems.map((item) => item.key),
     articlesByPmid,
     papersFound,
     papersSummarized
   );
-  return summaryHtml + bibliographyHtml;
+  return summaryHtml + buildCitationReportHtml(citationReport, 'PMID') + bibliographyHtml;
+}
+
+/** PubMed-specific recovery hints passed to buildErrorRemediation. */
+const ERROR_HINTS = {
+  services: {
+    PubMed: {
+      rateLimited: 'NCBI is rate limiting requests. Add ?ncbiApiKey=YOUR_KEY to raise the limit, or open fewer interests at once.',
+      unauthorized: 'NCBI rejected the API key. Check ?ncbiApiKey= or remove it from localStorage.'
+    }
+  },
+  timeout: 'lower maxRetrievalArticles or reasoningEffort'
+};
+
+let interestSectionCount = 0;
+
+/**
+ * Update a section's status line and notify listeners (the table of contents).
+ * @param {HTMLElement} section
+ * @param {HTMLElement} statusEl
+ * @param {string} status
+ * @param {string} label
+ * @returns {void}
+ */
+function setSectionStatus(section, statusEl, status, label) {
+  section.dataset.status = status;
+  statusEl.textContent = label;
+  section.dispatchEvent(new CustomEvent('interest-status', {
+    bubbles: true,
+    detail: { status, label }
+  }));
+}
+
+/**
+ * Merge per-interest overrides over the page-level settings resolved in init.
+ * Interests may set days, maxSummaryArticles, maxRetrievalArticles, minCited,
+ * model, reasoningEffort and promptStyle; numeric values use the same bounds as the URL params.
+ * @param {object} settings
+ * @param {{days?: number, maxSummaryArticles?: number, maxRetrievalArticles?: number, minCited?: number, model?: string, reasoningEffort?: string, promptStyle?: string}} interest
+ * @returns {object}
+ */
+function resolveInterestSettings(settings, interest) {
+  const maxSummaryArticles = normalizeNumberParam(
+    interest.maxSummaryArticles ?? settings.maxSummaryArticles,
+    settings.maxSummaryArticles,
+    1
+  );
+  return {
+    ...settings,
+    days: normalizeNumberParam(interest.days ?? settings.days, settings.days, 1),
+    maxSummaryArticles,
+    maxTopicSummaryArticles: interest.maxSummaryArticles !== undefined
+      ? maxSummaryArticles
+      : settings.maxTopicSummaryArticles,
+    maxRetrievalArticles: normalizeNumberParam(
+      interest.maxRetrievalArticles ?? settings.maxRetrievalArticles,
+      settings.maxRetrievalArticles,
+      1
+    ),
+    minCited: normalizeNumberParam(interest.minCited ?? settings.minCited, settings.minCited, 0),
+    model: String(interest.model || settings.model),
+    reasoningEffort: String(interest.reasoningEffort || settings.reasoningEffort),
+    promptStyle: String(interest.promptStyle || settings.promptStyle || '').trim()
+  };
+}
+
+/**
+ * Build a permalink that reproduces one interest section: its query, type,
+ * ORCID or major-topic restriction, the resolved date range and every non-secret
+ * setting including the prompt style. Stored params are always included so the
+ * recipient's own stored values do not change the result, and `share=1` keeps
+ * the link's values from replacing them in localStorage.
+ * @param {{query: string, type: string, orcid?: string, majorTopic?: boolean}} interest
+ * @param {object} settings Resolved settings from resolveInterestSettings.
+ * @param {{excludePubTypes: string[], requireMesh: string[], institution: string[], country: string[], excludeFlagged: boolean}} filters
+ * @param {{start: Date, end: Date, field: string}} dateRange
+ * @returns {string}
+ */
+function buildShareLink(interest, settings, filters, dateRange) {
+  const values = {
+    query: interest.query,
+    type: interest.type,
+    orcid: interest.type === 'author' ? interest.orcid : '',
+    majorTopic: interest.type === 'mesh' && Boolean(interest.majorTopic),
+    promptStyle: settings.promptStyle,
+    dateField: dateRange.field.toLowerCase(),
+    from: formatIsoDate(dateRange.start),
+    to: formatIsoDate(dateRange.end),
+    maxSummaryArticles: settings.maxSummaryArticles,
+    maxRetrievalArticles: settings.maxRetrievalArticles,
+    efetchBatchSize: settings.efetchBatchSize,
+    excludePubTypes: filters.excludePubTypes,
+    requireMesh: filters.requireMesh,
+    institution: filters.institution,
+    country: filters.country,
+    flaggedArticles: filters.excludeFlagged ? 'exclude' : 'badge',
+    minCited: settings.minCited,
+    abstractMode: settings.abstractMode,
+    model: settings.model,
+    reasoningEffort: settings.reasoningEffort,
+    stream: settings.stream,
+    provider: settings.llm.provider,
+    baseUrl: settings.llm.baseUrl,
+    share: true
+  };
+  const url = new URL(window.location.href);
+  url.search = '';
+  url.hash = '';
+  getPageParams('pubmed').forEach((definition) => {
+    const value = formatParamValue(definition, values[definition.name] ?? '');
+    const isDefault = value === formatParamValue(definition, definition.default);
+    if (definition.type === 'secret' || !value || (!definition.stored && isDefault)) {
+      return;
+    }
+    url.searchParams.set(definition.name, value);
+  });
+  return url.toString();
 }
 
 /**
  * Render a topic section with summary content and a PubMed link.
  * @param {{query: string, type: string}} interest
- * @param {string} apiKey
- * @param {number} days
- * @param {number} maxSummaryArticles
- * @param {number} maxRetrievalArticles
- * @param {number} minCited
- * @param {string} model
- * @param {string} reasoningEffort
+ * @param {object} settings Page-level settings from init; see resolveInterestSettings.
+ * @param {{provider: string, apiKey: string, baseUrl: string}} settings.llm
+ * @param {number} settings.days
+ * @param {{dateField: string, from: string, to: string}} settings.dateWindow
+ * @param {number} settings.maxSummaryArticles
+ * @param {number} settings.maxTopicSummaryArticles
+ * @param {number} settings.maxRetrievalArticles
+ * @param {number} settings.efetchBatchSize
+ * @param {{excludePubTypes: string[], requireMesh: string[], institution: string[], country: string[], excludeFlagged: boolean}} settings.articleFilters
+ * @param {number} settings.minCited
+ * @param {string} settings.model
+ * @param {string} settings.reasoningEffort
+ * @param {string} settings.abstractMode
+ * @param {string} settings.promptStyle
+ * @param {boolean} settings.stream
+ * @param {AbortSignal} [settings.signal] Aborted when the selection is replaced; queued work stops and
+ *   in-flight E-utilities, OpenAlex and LLM requests are cancelled.
  * @param {HTMLElement} container
  * @returns {Promise<void>}
  */
-async function renderInterest(
-  interest,
-  apiKey,
-  days,
-  maxSummaryArticles,
-  maxRetrievalArticles,
-  minCited,
-  model,
-  reasoningEffort,
-  container
-) {
+async function renderInterest(interest, settings, container) {
+  const interestSettings = resolveInterestSettings(settings, interest);
+  const {
+    llm,
+    days,
+    dateWindow,
+    maxSummaryArticles,
+    maxTopicSummaryArticles,
+    maxRetrievalArticles,
+    efetchBatchSize,
+    articleFilters,
+    minCited,
+    model,
+    reasoningEffort,
+    abstractMode,
+    promptStyle,
+    stream,
+    signal
+  } = interestSettings;
+  const filters = resolveArticleFilters(articleFilters, interest);
+
   const section = document.createElement('section');
   section.className = 'rssItem';
+  interestSectionCount += 1;
+  section.id = `interest-${interestSectionCount}`;
 
   const heading = document.createElement('h2');
-  heading.textContent = `${interest.query} (${interest.type})`;
+  const typeLabel = INTEREST_TYPE_LABELS[interest.type] || interest.type;
+  heading.textContent = `${interest.query} (${typeLabel})`;
   section.appendChild(heading);
 
   const metaRow = document.createElement('div');
   metaRow.className = 'meta-row';
 
+  const dateRange = buildDateRange(days, dateWindow);
   const time = document.createElement('time');
-  time.textContent = `Last ${days} days`;
+  time.textContent = `${formatIsoDate(dateRange.start)} to ${formatIsoDate(dateRange.end)} [${dateRange.field}]`;
   metaRow.appendChild(time);
 
+  const shareButton = document.createElement('button');
+  shareButton.type = 'button';
+  shareButton.className = 'copy-share-link';
+  shareButton.textContent = 'Copy share link';
+  shareButton.addEventListener('click', () => {
+    navigator.clipboard.writeText(buildShareLink(interest, interestSettings, filters, dateRange))
+      .then(() => {
+        shareButton.textContent = 'Copied';
+      })
+      .catch((error) => {
+        console.error('ERROR: Failed to copy share link', error);
+        shareButton.textContent = 'Copy failed';
+      });
+  });
+  metaRow.append(' ', shareButton);
+
+  const statusEl = document.createElement('span');
+  statusEl.className = 'section-status';
+  metaRow.append(' ', statusEl);
+
   section.appendChild(metaRow);
 
   const desc = document.createElement('div');
   desc.className = 'desc';
-  desc.innerHTML = '<p class="summary">Loading summary...</p>';
+  setSafeHtml(desc, '<p class="summary">Loading summary...</p>');
+  attachCopyCitationHandler(desc);
   section.appendChild(desc);
 
   const articlesWrap = document.createElement('div');
   section.appendChild(articlesWrap);
 
   container.appendChild(section);
+  setSectionStatus(section, statusEl, 'queued', 'Queued');
 
   try {
-    const { articles, pubmedQuery, dateRange, searchLink, totalCount } = await fetchPubmedArticles(
-      interest,
-      days,
-      maxRetrievalArticles
-    );
+    const {
+      articles: retrievedArticles,
+      pubmedQuery,
+      searchLink,
+      totalCount,
+      warnings
+    } = await retrievalQueue.run(() => {
+      signal?.throwIfAborted();
+      setSectionStatus(section, statusEl, 'retrieving', 'Retrieving articles');
+      return fetchPubmedArticles(
+        interest,
+        dateRange,
+        maxRetrievalArticles,
+        efetchBatchSize,
+        signal
+      );
+    });
+
+    warnings.forEach((warning) => {
+      const warningEl = document.createElement('p');
+      warningEl.className = 'summary warning';
+      warningEl.textContent = `Warning: ${warning}`;
+      section.insertBefore(warningEl, desc);
+    });
 
-    const rangeLabel = `${formatIsoDate(dateRange.start)} to ${formatIsoDate(dateRange.end)}`;
-    time.textContent = rangeLabel;
+    if (!retrievedArticles.length) {
+      setSafeHtml(desc, '<p class="summary">No recent articles with abstracts found.</p>');
+      setSectionStatus(section, statusEl, 'empty', 'No articles');
+      return;
+    }
 
+    const articles = filterArticles(retrievedArticles, filters);
     if (!articles.length) {
-      desc.innerHTML = '<p class="summary">No recent articles with abstracts found.</p>';
+      setSafeHtml(desc, '<p class="summary">No articles matched the publication type, MeSH, institution, country and retraction filters.</p>');
+      setSectionStatus(section, statusEl, 'empty', 'No articles after filters');
       return;
     }
 
     const papersFound = Number.isFinite(totalCount) ? totalCount : articles.length;
-    const isTopicQuery = interest.type === 'topic';
+    // Every non-journal type spans many journals, so it is ranked by SJR like a topic.
+    const isTopicQuery = interest.type !== 'journal';
     const shouldUseOpenAlex = !isTopicQuery && minCited > 0;
     let summaryArticles = [];
 
     if (isTopicQuery) {
       const sortedBySjr = [...articles].sort((a, b) => (b.sjr ?? 0) - (a.sjr ?? 0));
-      summaryArticles = sortedBySjr.slice(0, CONFIG.maxTopicSummaryArticles);
+      summaryArticles = sortedBySjr.slice(0, maxTopicSummaryArticles);
     } else {
       const orderedArticles = shouldUseOpenAlex ? [...articles].reverse() : articles;
       summaryArticles = orderedArticles.slice(0, maxSummaryArticles);
       if (shouldUseOpenAlex) {
-        const withCounts = await attachCitedByCounts(orderedArticles);
+        const withCounts = await retrievalQueue.run(() => {
+          signal?.throwIfAborted();
+          return attachCitedByCounts(orderedArticles, signal);
+        });
         summaryArticles = withCounts
           .filter((article) => (article.citedByCount ?? 0) >= minCited)
           .sort((a, b) => (b.citedByCount ?? 0) - (a.citedByCount ?? 0))
           .slice(0, maxSummaryArticles);
         if (!summaryArticles.length) {
-          desc.innerHTML = `<p class="summary">No articles met the minimum citation count (${minCited}).</p>`;
+          setSafeHtml(desc, `<p class="summary">No articles met the minimum citation count (${minCited}).</p>`);
+          setSectionStatus(section, statusEl, 'empty', 'No articles above minCited');
           return;
         }
       }
     }
 
-    const summaryHtml = await buildGptSummary({
-      apiKey,
-      query: pubmedQuery,
-      days,
-      articles: summaryArticles,
-      papersFound,
-      papersSummarized: summaryArticles.length,
-      model,
-      reasoningEffort,
-      rankedByCitations: shouldUseOpenAlex
+    setSectionStatus(section, statusEl, 'queued', 'Waiting for summary');
+    const summaryHtml = await llmQueue.run(() => {
+      signal?.throwIfAborted();
+      setSectionStatus(section, statusEl, 'summarizing', 'Summarizing');
+      return summarizeArticles({
+        llm,
+        query: pubmedQuery,
+        days: dateRange.days,
+        articles: summaryArticles,
+        papersFound,
+        papersSummarized: summaryArticles.length,
+        model,
+        reasoningEffort,
+        rankedByCitations: shouldUseOpenAlex,
+        abstractMode,
+        promptStyle,
+        onPartial: stream
+          ? (html) => {
+            setSafeHtml(desc, html);
+          }
+          : undefined,
+        signal
+      });
     });
 
-    desc.innerHTML = summaryHtml;
+    setSafeHtml(desc, summaryHtml);
+    setSectionStatus(section, statusEl, 'done', `Done (${summaryArticles.length} summarized)`);
 
     const searchLinkEl = document.createElement('a');
     searchLinkEl.href = searchLink;
@@ -912,11 +1702,77 @@ async function renderInterest(
     searchLinkEl.textContent = 'Open PubMed search';
     articlesWrap.appendChild(searchLinkEl);
   } catch (error) {
+    if (signal?.aborted) {
+      return;
+    }
     console.error('ERROR: Failed to load interest', error);
-    desc.innerHTML = `<p class="summary error">Error: ${escapeHtml(error.message || 'Unknown error')}</p>`;
+    const remediation = buildErrorRemediation(error, ERROR_HINTS);
+    const remediationHtml = remediation
+      ? `<p class="summary error">${escapeHtml(remediation)}</p>`
+      : '';
+    setSafeHtml(desc, `<p class="summary error">Error: ${escapeHtml(error.message || 'Unknown error')}</p>${remediationHtml}`);
+    setSectionStatus(section, statusEl, 'error', 'Error');
   }
 }
 
+const FINISHED_STATUSES = ['done', 'empty', 'error'];
+
+/**
+ * Build a table of contents that links to each interest section and mirrors its status.
+ * @param {HTMLElement} tocContainer
+ * @param {HTMLElement} results
+ * @param {HTMLElement} status
+ * @param {number} total
+ * @returns {function(): void} Removes the table of contents and its listener.
+ */
+function attachTableOfContents(tocContainer, results, status, total) {
+  const list = document.createElement('ol');
+  tocContainer.appendChild(list);
+  const entries = new Map();
+
+  const onStatus = (event) => {
+    const section = event.target;
+    let entry = entries.get(section.id);
+    if (!entry) {
+      const item = document.createElement('li');
+      const link = document.createElement('a');
+      link.href = `#${section.id}`;
+      link.textContent = section.querySelector('h2')?.textContent || section.id;
+      const statusEl = document.createElement('span');
+      statusEl.className = 'section-status';
+      item.append(link, ' ', statusEl);
+      list.appendChild(item);
+      entry = { statusEl, status: '' };
+      entries.set(section.id, entry);
+    }
+    entry.status = event.detail.status;
+    entry.statusEl.textContent = `(${event.detail.label})`;
+
+    const finished = Array.from(entries.values())
+      .filter((value) => FINISHED_STATUSES.includes(value.status)).length;
+    status.textContent = finished < total ? `Loaded ${finished} of ${total} interests...` : '';
+  };
+  results.addEventListener('interest-status', onStatus);
+
+  return () => {
+    results.removeEventListener('interest-status', onStatus);
+    list.remove();
+  };
+}
+
+/**
+ * Describe each page parameter with its current raw value and where it came from.
+ * @param {{source: function(string): string, raw: function(string): string}} params
+ * @returns {Array<object>}
+ */
+function describeSettings(params) {
+  return getPageParams('pubmed').map((definition) => ({
+    ...definition,
+    value: params.raw(definition.name),
+    source: params.source(definition.name)
+  }));
+}
+
 /**
  * Initialize the page with optional environment configuration.
  * @param {object} env
@@ -925,64 +1781,163 @@ async function renderInterest(
 function init(env) {
   console.log('App version:', VERSION);
   document.title = document.title.replace('$VERSION', VERSION);
-  const apiKey = env?.OPENAI_API_KEY || getParamValue('apikey');
-  const days = normalizeNumberParam(getStoredOptionalParam('days', CONFIG.days), CONFIG.days, 1);
-  const maxSummaryArticles = normalizeNumberParam(
-    getStoredOptionalParam('maxSummaryArticles', CONFIG.maxSummaryArticles),
-    CONFIG.maxSummaryArticles,
-    1
-  );
-  const maxRetrievalArticles = normalizeNumberParam(
-    getStoredOptionalParam('maxRetrievalArticles', CONFIG.maxRetrievalArticles),
-    CONFIG.maxRetrievalArticles,
-    1
-  );
-  const minCited = normalizeNumberParam(getOptionalParam('minCited', 0), 0, 0);
-  const model = getOptionalParam('model', CONFIG.openaiModel);
-  const reasoningEffort = getOptionalParam('reasoningEffort', CONFIG.reasoningEffort);
-  const typeFilter = getOptionalParam('type', '').toLowerCase();
-  const queryOverride = getOptionalParam('query', '').trim();
+  const profileName = String(createParamReader().get('profile'));
+  const params = createParamReader({ profile: getProfile(profileName) || {}, env });
+  const provider = getProvider(params.get('provider'));
+  const llm = {
+    provider: provider.name,
+    apiKey: params.get(provider.keyParam),
+    baseUrl: params.get('baseUrl')
+  };
+  configureEutils({
+    apiKey: params.get('ncbiApiKey'),
+    tool: params.get('tool'),
+    email: params.get('email')
+  });
+  stripSecretParams();
+  const days = params.get('days');
+  const dateWindow = {
+    dateField: params.get('dateField'),
+    from: params.get('from'),
+    to: params.get('to')
+  };
+  const maxSummaryArticles = params.get('maxSummaryArticles');
+  const maxRetrievalArticles = params.get('maxRetrievalArticles');
+  const efetchBatchSize = params.get('efetchBatchSize');
+  const articleFilters = {
+    excludePubTypes: params.get('excludePubTypes'),
+    requireMesh: params.get('requireMesh'),
+    institution: params.get('institution'),
+    country: params.get('country'),
+    excludeFlagged: params.get('flaggedArticles') === 'exclude'
+  };
+  const minCited = params.get('minCited');
+  const model = params.get('model');
+  const reasoningEffort = params.get('reasoningEffort');
+  const abstractMode = params.get('abstractMode');
+  const stream = params.get('stream');
+  const typeFilter = params.get('type');
+  const tagFilter = params.get('tag').toLowerCase();
+  const queryOverride = params.get('query');
+  const orcid = params.get('orcid');
+  const majorTopic = params.get('majorTopic');
+  const promptStyle = params.get('promptStyle');
+  const showAll = params.get('all');
+  const selectionMode = params.get('select');
+  const interestCount = params.get('count');
 
   const status = document.getElementById('status');
   const results = document.getElementById('results');
+  const controls = document.getElementById('controls');
+  const panels = document.getElementById('panels');
+  renderSettingsPanel(panels, describeSettings(params));
+  renderInterestsPanel(panels);
+  const currentSettings = {
+    days,
+    maxSummaryArticles,
+    maxRetrievalArticles,
+    minCited,
+    type: typeFilter,
+    model,
+    reasoningEffort
+  };
+  renderProfilesPanel(panels, {
+    activeProfile: getProfile(profileName) ? profileName : '',
+    currentSettings: PROFILE_FIELDS.reduce((acc, field) => {
+      acc[field] = currentSettings[field];
+      return acc;
+    }, {})
+  });
+  if (profileName && !getProfile(profileName)) {
+    const warningEl = document.createElement('span');
+    warningEl.className = 'warning';
+    warningEl.textContent = `Profile "${profileName}" not found; using defaults. `;
+    controls.appendChild(warningEl);
+  }
 
-  if (!apiKey) {
-    status.innerHTML = '<span class="error">Missing apikey. Provide ?apikey=YOUR_KEY in the URL.</span>';
+  if (provider.requiresKey && !llm.apiKey) {
+    setSafeHtml(status, `<span class="error">Missing ${provider.keyParam}. Provide ?${provider.keyParam}=YOUR_KEY in the URL.</span>`);
     return;
   }
 
-  const filteredInterests = ['topic', 'journal'].includes(typeFilter)
-    ? INTERESTS.filter((item) => item.type === typeFilter)
-    : INTERESTS;
+  const isKnownType = INTEREST_TYPES.includes(typeFilter);
+  const interests = loadInterests();
+  pruneHistory(interests);
+  const filteredInterests = interests.filter((item) => (
+    item.enabled
+    && (!isKnownType || item.type === typeFilter)
+    && (!tagFilter || item.tags.includes(tagFilter))
+  ));
   if (!filteredInterests.length) {
-    status.innerHTML = '<span class="error">No interests match the requested type.</span>';
+    setSafeHtml(status, '<span class="error">No enabled interests match the requested type or tag.</span>');
     return;
   }
-  const queryType = ['topic', 'journal'].includes(typeFilter) ? typeFilter : 'topic';
-  const selected = queryOverride
-    ? [{ query: queryOverride, type: queryType }]
-    : pickRandomItems(filteredInterests, CONFIG.randomInterests);
-  status.textContent = '';
+  const queryType = isKnownType ? typeFilter : 'topic';
+
+  const settings = {
+    llm,
+    days,
+    dateWindow,
+    maxSummaryArticles,
+    maxTopicSummaryArticles: CONFIG.maxTopicSummaryArticles,
+    maxRetrievalArticles,
+    efetchBatchSize,
+    articleFilters,
+    minCited,
+    model,
+    reasoningEffort,
+    abstractMode,
+    promptStyle,
+    stream
+  };
 
-  const tasks = selected.map((interest) =>
-    renderInterest(
-      interest,
-      apiKey,
-      days,
-      maxSummaryArticles,
-      maxRetrievalArticles,
-      minCited,
-      model,
-      reasoningEffort,
-      results
-    )
-  );
+  let detachTableOfContents = null;
+  let selectionController = null;
+  const renderSelection = (selected) => {
+    // Stop the previous selection's queued and running work; its sections are gone.
+    selectionController?.abort();
+    selectionController = new AbortController();
+    const selectionSettings = { ...settings, signal: selectionController.signal };
+    detachTableOfContents?.();
+    detachTableOfContents = null;
+    results.innerHTML = '';
+    status.textContent = '';
+    if (selected.length > 1) {
+      detachTableOfContents = attachTableOfContents(
+        document.getElementById('toc'),
+        results,
+        status,
+        selected.length
+      );
+    }
+    recordShown(selected);
+
+    const tasks = selected.map((interest) => renderInterest(interest, selectionSettings, results));
+    Promise.all(tasks)
+      .catch((error) => {
+        console.error('ERROR: Failed to render results', error);
+        setSafeHtml(status, '<span class="error">Failed to load all results.</span>');
+      });
+  };
 
-  Promise.all(tasks)
-    .catch((error) => {
-      console.error('ERROR: Failed to render results', error);
-      status.innerHTML = '<span class="error">Failed to load all results.</span>';
-    });
+  if (queryOverride) {
+    renderSelection([{ query: queryOverride, type: queryType, orcid, majorTopic }]);
+    return;
+  }
+  if (showAll) {
+    renderSelection(filteredInterests);
+    return;
+  }
+
+  const selectNext = () => {
+    renderSelection(selectInterests(filteredInterests, interestCount, selectionMode));
+  };
+  const nextButton = document.createElement('button');
+  nextButton.type = 'button';
+  nextButton.textContent = interestCount > 1 ? 'Next interests' : 'Next interest';
+  nextButton.addEventListener('click', selectNext);
+  controls.appendChild(nextButton);
+  selectNext();
 }
 
 /**
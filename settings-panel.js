@@ -0,0 +1,196 @@
+import { coerceParam, formatParamValue } from './params.js';
+
+/**
+ * Build the input for one settings field.
+ * @param {{name: string, type: string, default: *, options?: string[], min?: number, max?: number, value: string}} field
+ * @returns {HTMLInputElement|HTMLSelectElement}
+ */
+function buildSettingInput(field) {
+  if (field.type === 'enum' || field.type === 'flag') {
+    const select = document.createElement('select');
+    select.name = field.name;
+    const options = field.type === 'flag' ? ['1', '0'] : field.options;
+    ['', ...options].forEach((optionValue) => {
+      const option = document.createElement('option');
+      option.value = optionValue;
+      option.textContent = optionValue || '(default)';
+      option.selected = optionValue === String(field.value).toLowerCase();
+      select.appendChild(option);
+    });
+    return select;
+  }
+  const input = document.createElement('input');
+  input.name = field.name;
+  if (field.type === 'number') {
+    input.type = 'number';
+    if (field.min !== undefined) {
+      input.min = String(field.min);
+    }
+    if (field.max !== undefined) {
+      input.max = String(field.max);
+    }
+    input.value = field.value;
+  } else if (field.type === 'date') {
+    input.type = 'date';
+    input.value = field.value;
+  } else if (field.type === 'secret') {
+    input.type = 'password';
+    input.autocomplete = 'off';
+    input.placeholder = field.value ? 'stored (leave blank to keep)' : '';
+  } else {
+    input.value = field.value;
+  }
+  const defaultValue = formatParamValue(field, field.default);
+  if (field.type !== 'secret' && defaultValue) {
+    input.placeholder = defaultValue;
+  }
+  return input;
+}
+
+/**
+ * Validate a field value with the schema rules used when settings are resolved.
+ * @param {object} field
+ * @param {string} raw
+ * @returns {{value: string, note: string}}
+ */
+function validateSetting(field, raw) {
+  const trimmed = raw.trim();
+  if (!trimmed) {
+    return { value: '', note: '' };
+  }
+  const value = formatParamValue(field, coerceParam(field, trimmed));
+  if (field.type === 'number' && value !== trimmed) {
+    return { value, note: `${field.name} must be a number within its limits; using ${value}.` };
+  }
+  if (field.type === 'enum' && value !== trimmed.toLowerCase()) {
+    return { value: '', note: `${field.name} must be one of ${field.options.join(', ')}; using the default.` };
+  }
+  return { value: field.type === 'number' || field.type === 'enum' ? value : trimmed, note: '' };
+}
+
+/**
+ * Render the settings form covering every page parameter. Each field shows
+ * whether its value came from the URL, the active profile, localStorage or the
+ * default. Applying writes stored settings (and secrets) to localStorage and
+ * puts the rest in the URL; fields set by the profile stay with the profile
+ * unless edited. Reset clears stored settings except API keys.
+ * @param {HTMLElement} container
+ * @param {Array<object>} fields Parameter definitions from params.js with their current `value` and `source`.
+ * @returns {void}
+ */
+function renderSettingsPanel(container, fields) {
+  const details = document.createElement('details');
+  details.className = 'settings-panel';
+  const summary = document.createElement('summary');
+  summary.textContent = 'Settings';
+  details.appendChild(summary);
+
+  const form = document.createElement('form');
+  const table = document.createElement('table');
+  const tbody = document.createElement('tbody');
+  table.appendChild(tbody);
+  const statusEl = document.createElement('p');
+  const inputs = new Map();
+
+  fields.forEach((field) => {
+    const row = document.createElement('tr');
+    row.title = field.description;
+
+    const labelCell = document.createElement('td');
+    const label = document.createElement('label');
+    label.textContent = field.name;
+    labelCell.appendChild(label);
+    row.appendChild(labelCell);
+
+    const inputCell = document.createElement('td');
+    const input = buildSettingInput(field);
+    label.htmlFor = `setting-${field.name}`;
+    input.id = `setting-${field.name}`;
+    inputs.set(field.name, input);
+    inputCell.appendChild(input);
+    row.appendChild(inputCell);
+
+    const sourceCell = document.createElement('td');
+    const defaultValue = formatParamValue(field, field.default);
+    const defaultLabel = field.type === 'secret' || !defaultValue ? '' : ` (${defaultValue})`;
+    sourceCell.textContent = field.source === 'default' ? `default${defaultLabel}` : `from ${field.source}`;
+    if (field.stored && field.source === 'storage') {
+      const clearButton = document.createElement('button');
+      clearButton.type = 'button';
+      clearButton.textContent = 'Clear';
+      clearButton.addEventListener('click', () => {
+        localStorage.removeItem(field.name);
+        statusEl.textContent = `Cleared stored ${field.name}. Reload to apply.`;
+        clearButton.remove();
+      });
+      sourceCell.append(' ', clearButton);
+    }
+    row.appendChild(sourceCell);
+
+    tbody.appendChild(row);
+  });
+
+  const applyButton = document.createElement('button');
+  applyButton.type = 'submit';
+  applyButton.textContent = 'Apply';
+  const resetButton = document.createElement('button');
+  resetButton.type = 'button';
+  resetButton.textContent = 'Reset to defaults';
+  const buttons = document.createElement('p');
+  buttons.append(applyButton, ' ', resetButton);
+
+  form.addEventListener('submit', (event) => {
+    event.preventDefault();
+    const validated = fields.map((field) => ({
+      field,
+      ...validateSetting(field, inputs.get(field.name).value)
+    }));
+    const notes = validated.filter((entry) => entry.note);
+    if (notes.length) {
+      notes.forEach(({ field, value }) => {
+        inputs.get(field.name).value = value;
+      });
+      statusEl.textContent = `${notes.map((entry) => entry.note).join(' ')} Check the corrected values and apply again.`;
+      return;
+    }
+
+    const params = new URLSearchParams();
+    validated.forEach(({ field, value }) => {
+      if (field.type === 'secret') {
+        if (value) {
+          localStorage.setItem(field.name, value);
+        }
+        return;
+      }
+      if (field.source === 'profile' && value === String(field.value)) {
+        return;
+      }
+      const isDefault = !value || value === formatParamValue(field, field.default);
+      if (field.stored && field.source !== 'profile') {
+        if (isDefault) {
+          localStorage.removeItem(field.name);
+        } else {
+          localStorage.setItem(field.name, value);
+        }
+        return;
+      }
+      if (!isDefault) {
+        params.set(field.name, value);
+      }
+    });
+    window.location.search = params.toString();
+  });
+
+  resetButton.addEventListener('click', () => {
+    fields
+      .filter((field) => field.stored && field.type !== 'secret')
+      .forEach((field) => localStorage.removeItem(field.name));
+    window.location.search = '';
+  });
+
+  form.append(table, buttons);
+  details.append(form, statusEl);
+  container.appendChild(details);
+}
+
+export { renderSettingsPanel };
@@ -0,0 +1,491 @@
+import { TimeoutError, fetchJson, fetchWithRetry, readEventStream } from './http.js';
+import { getProvider } from './llm-providers.js';
+
+/**
+ * Source-agnostic summarization pipeline shared by the PubMed and bioRxiv pages.
+ * It has no DOM dependency, so it also runs in Node (18+, for global fetch).
+ *
+ * Pages describe each paper as a summary item:
+ * - `key`: the citation key the model lists for a sentence, e.g. a PMID or a DOI.
+ * - `buildLink()`: returns the inline citation anchor for that key.
+ * Any other fields (usually the source article) are passed through untouched.
+ */
+
+const SUMMARY_DEFAULTS = {
+  maxOutputTokens: 5000,
+  timeoutMs: 180000,
+  retries: 2
+};
+
+/**
+ * Decide whether a failed LLM call is worth repeating. Timeouts are not
+ * retried (a slow generation would be billed again and wait another full
+ * timeout) and neither is a 429 for an exhausted quota, which cannot succeed.
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isRetryableLlmError(error) {
+  if (error instanceof TimeoutError) {
+    return false;
+  }
+  return !(error.status === 429 && /insufficient_quota/.test(error.body || ''));
+}
+
+/**
+ * Escape HTML special characters.
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * JSON schema for structured summaries: paragraphs made of sentences, each
+ * listing the citation keys it cites. Text is plain; the page renders the HTML.
+ */
+const SUMMARY_SCHEMA = {
+  name: 'summary',
+  schema: {
+    type: 'object',
+    properties: {
+      paragraphs: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            sentences: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  text: { type: 'string' },
+                  citations: { type: 'array', items: { type: 'string' } }
+                },
+                required: ['text', 'citations'],
+                additionalProperties: false
+              }
+            }
+          },
+          required: ['sentences'],
+          additionalProperties: false
+        }
+      }
+    },
+    required: ['paragraphs'],
+    additionalProperties: false
+  }
+};
+
+/**
+ * Normalize a citation key as written by the model ("PMID: 123", a doi.org URL)
+ * to the form used for lookups.
+ * @param {string} value
+ * @returns {string}
+ */
+function normalizeCitationKey(value) {
+  return String(value || '')
+    .trim()
+    .replace(/^https?:\/\/(dx\.)?doi\.org\//i, '')
+    .replace(/^(pmid|doi)\s*:?\s*/i, '')
+    .replace(/[).,;]+$/, '')
+    .toLowerCase();
+}
+
+/**
+ * Parse the model's JSON output, tolerating a surrounding code fence.
+ * @param {string} text
+ * @returns {object|null}
+ */
+function parseSummaryJson(text) {
+  const cleaned = String(text || '')
+    .trim()
+    .replace(/^```[a-zA-Z]*\n?/, '')
+    .replace(/```$/, '')
+    .trim();
+  try {
+    return JSON.parse(cleaned);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Close the strings, arrays and objects left open in truncated JSON.
+ * @param {string} text
+ * @returns {string}
+ */
+function closePartialJson(text) {
+  const closers = [];
+  let inString = false;
+  let escaped = false;
+  for (const char of text) {
+    if (inString) {
+      if (escaped) {
+        escaped = false;
+      } else if (char === '\\') {
+        escaped = true;
+      } else if (char === '"') {
+        inString = false;
+      }
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === '{' || char === '[') {
+      closers.push(char === '{' ? '}' : ']');
+    } else if (char === '}' || char === ']') {
+      closers.pop();
+    }
+  }
+  let closed = text;
+  if (inString) {
+    closed = `${escaped ? closed.slice(0, -1) : closed}"`;
+  }
+  return closed + closers.reverse().join('');
+}
+
+/**
+ * Parse as much of a streamed JSON document as has arrived, dropping the
+ * trailing member that cannot be completed yet.
+ * @param {string} text
+ * @returns {object|null}
+ */
+function parsePartialJson(text) {
+  const source = String(text || '');
+  let end = source.length;
+  while (end > 0) {
+    const parsed = parseSummaryJson(closePartialJson(source.slice(0, end)));
+    if (parsed) {
+      return parsed;
+    }
+    const head = source.slice(0, end - 1);
+    end = Math.max(head.lastIndexOf(','), head.lastIndexOf('{') + 1, head.lastIndexOf('[') + 1);
+  }
+  return null;
+}
+
+/**
+ * Read the paragraphs of a structured summary, skipping empty sentences and
+ * normalizing citation keys.
+ * @param {object|null} summary
+ * @returns {Array<Array<{text: string, citations: string[]}>>}
+ */
+function readSummaryParagraphs(summary) {
+  const paragraphs = Array.isArray(summary?.paragraphs) ? summary.paragraphs : [];
+  return paragraphs
+    .map((paragraph) => (Array.isArray(paragraph?.sentences) ? paragraph.sentences : [])
+      .map((sentence) => ({
+        text: String(sentence?.text || '').trim(),
+        citations: [...new Set((Array.isArray(sentence?.citations) ? sentence.citations : [])
+          .map(normalizeCitationKey)
+          .filter(Boolean))]
+      }))
+      .filter((sentence) => sentence.text))
+    .filter((sentences) => sentences.length);
+}
+
+/**
+ * Render one sentence with its citation links before the closing punctuation.
+ * Keys without a matching item are left out.
+ * @param {{text: string, citations: string[]}} sentence
+ * @param {Map<string, {buildLink: function(): string}>} itemsByKey
+ * @returns {string}
+ */
+function renderSentence(sentence, itemsByKey) {
+  const text = escapeHtml(sentence.text);
+  const links = sentence.citations
+    .map((key) => itemsByKey.get(key)?.buildLink())
+    .filter(Boolean)
+    .join('; ');
+  if (!links) {
+    return text;
+  }
+  const [, body, punctuation] = text.match(/^([\s\S]*?)([.!?]*)$/);
+  return `${body} (${links})${punctuation}`;
+}
+
+/**
+ * Render structured summary paragraphs as HTML.
+ * @param {Array<Array<{text: string, citations: string[]}>>} paragraphs
+ * @param {Map<string, {buildLink: function(): string}>} itemsByKey
+ * @returns {string}
+ */
+function renderSummaryHtml(paragraphs, itemsByKey) {
+  return paragraphs
+    .map((sentences) => sentences.map((sentence) => renderSentence(sentence, itemsByKey)).join(' '))
+    .map((paragraph) => `<p class="summary">${paragraph}</p>`)
+    .join('');
+}
+
+/**
+ * Add citations for items the model did not cite to the last sentence.
+ * @param {Array<Array<{text: string, citations: string[]}>>} paragraphs
+ * @param {string[]} missingKeys
+ * @returns {Array<Array<{text: string, citations: string[]}>>}
+ */
+function appendMissingCitations(paragraphs, missingKeys) {
+  if (!missingKeys.length) {
+    return paragraphs;
+  }
+  if (!paragraphs.length) {
+    return [[{ text: 'Summary.', citations: missingKeys }]];
+  }
+  const sentences = paragraphs[paragraphs.length - 1];
+  const last = sentences[sentences.length - 1];
+  return [
+    ...paragraphs.slice(0, -1),
+    [...sentences.slice(0, -1), { ...last, citations: [...last.citations, ...missingKeys] }]
+  ];
+}
+
+/**
+ * Request summary text from the selected LLM provider (see llm-providers.js).
+ * @param {object} options
+ * @param {string} [options.provider] Provider name; defaults to OpenAI.
+ * @param {string} options.apiKey
+ * @param {string} [options.baseUrl] Overrides the default API base URL of providers that
+ *   allow it (`openai-compatible`); ignored for the hosted providers.
+ * @param {string} [options.model] Overrides the provider's default model.
+ * @param {string} options.reasoningEffort
+ * @param {string} options.systemPrompt
+ * @param {string} options.userPrompt
+ * @param {number} [options.maxOutputTokens]
+ * @param {number} [options.timeoutMs]
+ * @param {{name: string, schema: object}} [options.schema] JSON schema the output must follow.
+ * @param {AbortSignal} [options.signal] Cancels the request; its reason is thrown.
+ * @param {function(string): void} [options.onText] When set, the response is streamed and
+ *   called with the text received so far after each chunk.
+ * @returns {Promise<string>}
+ */
+async function requestSummaryText({
+  provider: providerName,
+  apiKey,
+  baseUrl,
+  model,
+  reasoningEffort,
+  systemPrompt,
+  userPrompt,
+  maxOutputTokens = SUMMARY_DEFAULTS.maxOutputTokens,
+  timeoutMs = SUMMARY_DEFAULTS.timeoutMs,
+  schema,
+  signal,
+  onText
+}) {
+  const provider = getProvider(providerName);
+  if (provider.requiresKey && !apiKey) {
+    throw new Error(`Missing ${provider.service} API key.`);
+  }
+  if (baseUrl && !provider.customBaseUrl) {
+    console.warn(`Ignoring baseUrl for ${provider.name}; it only applies to openai-compatible.`);
+  }
+
+  const { url, init } = provider.buildRequest({
+    apiKey,
+    baseUrl: (provider.customBaseUrl && baseUrl) || provider.baseUrl,
+    model: model || provider.defaultModel,
+    reasoningEffort,
+    systemPrompt,
+    userPrompt,
+    maxOutputTokens,
+    schema,
+    stream: Boolean(onText)
+  });
+  const fetchOptions = {
+    service: provider.service,
+    timeoutMs,
+    init,
+    signal,
+    retries: SUMMARY_DEFAULTS.retries,
+    shouldRetry: isRetryableLlmError
+  };
+  let text = '';
+  try {
+    if (onText) {
+      const response = await fetchWithRetry(url, fetchOptions);
+      for await (const event of readEventStream(response)) {
+        signal?.throwIfAborted();
+        const { delta, error } = provider.readStreamEvent(event);
+        if (error) {
+          throw new Error(`${provider.service}: ${error}`);
+        }
+        if (delta) {
+          text += delta;
+          onText(text);
+        }
+      }
+      text = text.trim();
+    } else {
+      const json = await fetchJson(url, fetchOptions);
+      text = provider.extractText(json);
+    }
+  } catch (error) {
+    if (signal?.aborted) {
+      throw error;
+    }
+    throw provider.mapError(error);
+  }
+  if (!text) {
+    throw new Error(`${provider.service} summary was empty.`);
+  }
+  return text;
+}
+
+/**
+ * List cited keys that do not belong to any item, in order of first citation.
+ * @param {Array<Array<{text: string, citations: string[]}>>} paragraphs
+ * @param {Map<string, object>} itemsByKey
+ * @returns {string[]}
+ */
+function findUnknownCitations(paragraphs, itemsByKey) {
+  const cited = new Set(paragraphs.flat().flatMap((sentence) => sentence.citations));
+  return [...cited].filter((key) => !itemsByKey.has(key));
+}
+
+/**
+ * Drop citations that do not belong to any item.
+ * @param {Array<Array<{text: string, citations: string[]}>>} paragraphs
+ * @param {Map<string, object>} itemsByKey
+ * @returns {Array<Array<{text: string, citations: string[]}>>}
+ */
+function stripUnknownCitations(paragraphs, itemsByKey) {
+  return paragraphs.map((sentences) => sentences.map((sentence) => ({
+    ...sentence,
+    citations: sentence.citations.filter((key) => itemsByKey.has(key))
+  })));
+}
+
+/**
+ * Build the follow-up prompt asking the model to fix citations to unknown papers.
+ * @param {string} userPrompt The original user prompt.
+ * @param {string} previousText The model's previous output.
+ * @param {string[]} unknownKeys
+ * @param {Map<string, {key: string}>} itemsByKey
+ * @returns {string}
+ */
+function buildCitationCorrectionPrompt(userPrompt, previousText, unknownKeys, itemsByKey) {
+  const validKeys = [...itemsByKey.values()].map((item) => item.key).join(', ');
+  return `${userPrompt}
+
+Your previous summary was:
+${previousText}
+
+Correction: it cited ${unknownKeys.join(', ')}, which ${unknownKeys.length === 1 ? 'is' : 'are'} not among the provided papers. Write the summary again and cite only these papers: ${validKeys}. Never cite a paper that is not in the input.`;
+}
+
+/**
+ * Render the citation integrity report shown under a summary.
+ * @param {{totalItems: number, citedByModel: number, addedKeys: string[], retried: boolean, initialUnknownKeys: string[], unknownKeys: string[]}} report
+ * @param {string} keyLabel How keys are labeled, e.g. "PMID" or "DOI".
+ * @returns {string}
+ */
+function buildCitationReportHtml(report, keyLabel) {
+  const formatKeys = (keys) => keys.map((key) => `${keyLabel} ${escapeHtml(key)}`).join(', ');
+  const parts = [`Citation check: the model cited ${report.citedByModel} of ${report.totalItems} papers.`];
+  if (report.retried) {
+    parts.push(report.unknownKeys.length
+      ? `It cited papers that were not provided (${formatKeys(report.initialUnknownKeys)}) and was asked once to correct them.`
+      : `It first cited papers that were not provided (${formatKeys(report.initialUnknownKeys)}); the corrected summary is shown.`);
+  }
+  if (report.unknownKeys.length) {
+    parts.push(`Removed unknown citations: ${formatKeys(report.unknownKeys)}.`);
+  }
+  if (report.addedKeys.length) {
+    parts.push(`Added citations for uncited papers: ${formatKeys(report.addedKeys)}.`);
+  }
+  return `<p class="citation-report">${parts.join(' ')}</p>`;
+}
+
+/**
+ * Summarize items with the LLM as structured output (see SUMMARY_SCHEMA) and
+ * check its citations against the items: when the model cites keys that were
+ * not provided it is re-asked once with a correction, remaining unknown
+ * citations are removed, and uncited items are appended. The caller builds
+ * the prompts and renders references from `citedItems`.
+ * @template {{key: string, buildLink: function(): string}} T
+ * @param {object} options Request options for requestSummaryText, plus the items.
+ * @param {T[]} options.items
+ * @param {function(string): void} [options.onPartial] Streams the response and is called
+ *   with partial summary HTML as it arrives; citations are completed only at the end.
+ * @returns {Promise<{summaryHtml: string, paragraphs: Array<Array<{text: string, citations: string[]}>>, citedItems: T[], citationReport: {totalItems: number, citedByModel: number, addedKeys: string[], retried: boolean, initialUnknownKeys: string[], unknownKeys: string[]}}>}
+ */
+async function buildGptSummary({ items, onPartial, ...request }) {
+  console.log('LLM system prompt:', request.systemPrompt);
+  const itemsByKey = new Map(
+    items.filter((item) => item.key).map((item) => [normalizeCitationKey(item.key), item])
+  );
+  const onText = onPartial
+    ? (partial) => {
+      const html = renderSummaryHtml(readSummaryParagraphs(parsePartialJson(partial)), itemsByKey);
+      if (html) {
+        onPartial(html);
+      }
+    }
+    : undefined;
+  const requestParagraphs = async (userPrompt) => {
+    console.log('LLM user prompt:', userPrompt);
+    const text = await requestSummaryText({ ...request, userPrompt, schema: SUMMARY_SCHEMA, onText });
+    console.log('LLM raw output:', text);
+    const paragraphs = readSummaryParagraphs(parseSummaryJson(text));
+    if (!paragraphs.length) {
+      throw new Error('LLM summary could not be parsed into paragraphs.');
+    }
+    return { text, paragraphs };
+  };
+
+  const first = await requestParagraphs(request.userPrompt);
+  let { paragraphs } = first;
+  const initialUnknownKeys = findUnknownCitations(paragraphs, itemsByKey);
+  if (initialUnknownKeys.length) {
+    console.warn('LLM cited papers that were not provided; asking once for a correction:', initialUnknownKeys);
+    try {
+      const corrected = await requestParagraphs(
+        buildCitationCorrectionPrompt(request.userPrompt, first.text, initialUnknownKeys, itemsByKey)
+      );
+      paragraphs = corrected.paragraphs;
+    } catch (error) {
+      request.signal?.throwIfAborted();
+      console.error('ERROR: Citation correction failed; keeping the first summary', error);
+    }
+  }
+  const unknownKeys = findUnknownCitations(paragraphs, itemsByKey);
+  const validParagraphs = stripUnknownCitations(paragraphs, itemsByKey);
+
+  const mentioned = new Set(validParagraphs.flat().flatMap((sentence) => sentence.citations));
+  const missing = [...itemsByKey.keys()].filter((key) => !mentioned.has(key));
+  const finalParagraphs = appendMissingCitations(validParagraphs, missing);
+  const citedKeys = new Set(finalParagraphs.flat().flatMap((sentence) => sentence.citations));
+
+  return {
+    summaryHtml: renderSummaryHtml(finalParagraphs, itemsByKey),
+    paragraphs: finalParagraphs,
+    citedItems: [...citedKeys].map((key) => itemsByKey.get(key)),
+    citationReport: {
+      totalItems: itemsByKey.size,
+      citedByModel: mentioned.size,
+      addedKeys: missing.map((key) => itemsByKey.get(key).key),
+      retried: initialUnknownKeys.length > 0,
+      initialUnknownKeys,
+      unknownKeys
+    }
+  };
+}
+
+export {
+  SUMMARY_DEFAULTS,
+  SUMMARY_SCHEMA,
+  escapeHtml,
+  normalizeCitationKey,
+  parseSummaryJson,
+  parsePartialJson,
+  readSummaryParagraphs,
+  renderSummaryHtml,
+  appendMissingCitations,
+  findUnknownCitations,
+  buildCitationReportHtml,
+  requestSummaryText,
+  buildGptSummary
+};
@@ -0,0 +1,44 @@
+/**
+ * Minimal browser globals for running the page modules under Node in tests.
+ */
+
+/**
+ * Install an in-memory localStorage and return its backing object.
+ * @returns {Object<string, string>}
+ */
+function installLocalStorage() {
+  const store = {};
+  globalThis.localStorage = {
+    getItem: (key) => (Object.prototype.hasOwnProperty.call(store, key) ? store[key] : null),
+    setItem: (key, value) => {
+      store[key] = String(value);
+    },
+    removeItem: (key) => {
+      delete store[key];
+    }
+  };
+  return store;
+}
+
+/**
+ * Install a window whose location and history follow replaceState.
+ * @param {string} href
+ * @returns {{href: string}} Holder whose href reflects the current URL.
+ */
+function installWindow(href) {
+  const current = { href };
+  globalThis.window = {
+    get location() {
+      return new URL(current.href);
+    },
+    history: {
+      state: null,
+      replaceState: (state, title, url) => {
+        current.href = String(url);
+      }
+    }
+  };
+  return current;
+}
+
+module.exports = { installLocalStorage, installWindow };
@@ -0,0 +1,40 @@
+const { test, expect } = require('@playwright/test');
+const { JSDOM } = require('jsdom');
+
+const { window } = new JSDOM('');
+globalThis.DOMParser = window.DOMParser;
+globalThis.Node = window.Node;
+
+const { sanitizeHtml, htmlToText } = require('../html-sanitizer.js');
+
+test('keeps summary paragraphs, citation links and inline formatting', () => {
+  const html = '<p class="summary">A <em>B</em> (<a href="https://pubmed.ncbi.nlm.nih.gov/1/" target="_blank">PMID: 1</a>).</p>';
+  expect(sanitizeHtml(html)).toBe(
+    '<p class="summary">A <em>B</em> (<a href="https://pubmed.ncbi.nlm.nih.gov/1/" target="_blank" rel="noopener">PMID: 1</a>).</p>'
+  );
+});
+
+test('removes scripts, handlers and dangerous elements', () => {
+  expect(sanitizeHtml('<p class="summary" onclick="steal()">x<script>steal()</script></p>'))
+    .toBe('<p class="summary">x</p>');
+  expect(sanitizeHtml('<img src=x onerror="steal()">text')).toBe('text');
+  expect(sanitizeHtml('<svg><script>steal()</script></svg><iframe src="https://evil.test"></iframe>ok')).toBe('ok');
+  expect(sanitizeHtml('<style>*{}</style><form><input></form>')).toBe('');
+});
+
+test('unwraps links to unknown hosts or schemes', () => {
+  expect(sanitizeHtml('<a href="javascript:steal()">PMID: 1</a>')).toBe('PMID: 1');
+  expect(sanitizeHtml('<a href="http://pubmed.ncbi.nlm.nih.gov/1/">PMID: 1</a>')).toBe('PMID: 1');
+  expect(sanitizeHtml('<a href="https://evil.test/">DOI</a>')).toBe('DOI');
+});
+
+test('drops classes and attributes outside the allowlist', () => {
+  expect(sanitizeHtml('<p class="summary hidden" style="color:red">x</p>')).toBe('<p class="summary">x</p>');
+  expect(sanitizeHtml('<button type="submit" class="copy-citation" data-citation="A. B." formaction="https://evil.test">Copy</button>'))
+    .toBe('<button type="button" class="copy-citation" data-citation="A. B.">Copy</button>');
+});
+
+test('htmlToText reduces RSS descriptions to plain text', () => {
+  expect(htmlToText('<p>Mouse <i>in vivo</i> data</p><script>steal()</script>')).toBe('Mouse in vivo data');
+  expect(htmlToText('a &lt;b&gt; c')).toBe('a <b> c');
+});
@@ -0,0 +1,32 @@
+const { test, expect } = require('@playwright/test');
+const {
+  RateLimitedError,
+  UnauthorizedError,
+  UpstreamError,
+  TimeoutError,
+  buildErrorRemediation
+} = require('../http.js');
+
+const hints = {
+  services: {
+    PubMed: { rateLimited: 'Add ?ncbiApiKey=.' }
+  },
+  timeout: 'lower maxRetrievalArticles'
+};
+
+test('buildErrorRemediation prefers the error, then page hints, then the generic text', () => {
+  const providerError = new UnauthorizedError('401', { service: 'OpenAI' });
+  providerError.remediation = 'Check ?apikey=.';
+  expect(buildErrorRemediation(providerError, hints)).toBe('Check ?apikey=.');
+  expect(buildErrorRemediation(new RateLimitedError('429', { service: 'PubMed' }), hints)).toBe('Add ?ncbiApiKey=.');
+  expect(buildErrorRemediation(new RateLimitedError('429', { service: 'OpenAlex' }), hints))
+    .toBe('OpenAlex is rate limiting requests. Wait a minute and reload.');
+  expect(buildErrorRemediation(new UnauthorizedError('403', { service: 'PubMed' }), hints))
+    .toBe('PubMed rejected the request credentials.');
+  expect(buildErrorRemediation(new TimeoutError('timeout', { service: 'PubMed' }), hints))
+    .toBe('PubMed did not respond in time. Reload to retry, or lower maxRetrievalArticles.');
+  expect(buildErrorRemediation(new TimeoutError('timeout', { service: 'PubMed' })))
+    .toBe('PubMed did not respond in time. Reload to retry.');
+  expect(buildErrorRemediation(new UpstreamError('503', {}))).toBe('The remote service is unavailable right now. Try again later.');
+  expect(buildErrorRemediation(new Error('other'), hints)).toBe('');
+});
@@ -0,0 +1,48 @@
+const { test, expect } = require('@playwright/test');
+const { installLocalStorage } = require('./browser-globals.js');
+const { loadInterests } = require('../interests-store.js');
+const { selectInterests, recordShown, pruneHistory } = require('../interest-selection.js');
+
+/**
+ * Simulate one page load: load interests, prune history, select and record.
+ * @param {string} mode
+ * @returns {string} The id of the interest shown.
+ */
+function pageLoad(mode) {
+  const interests = loadInterests();
+  pruneHistory(interests);
+  const selected = selectInterests(interests, 1, mode);
+  recordShown(selected);
+  return selected[0].id;
+}
+
+test('seed interests keep their ids across loads', () => {
+  installLocalStorage();
+  expect(loadInterests().map((item) => item.id)).toEqual(loadInterests().map((item) => item.id));
+});
+
+test('round-robin advances through the seed list across reloads', () => {
+  installLocalStorage();
+  const ids = loadInterests().map((item) => item.id);
+  const shown = [pageLoad('round-robin'), pageLoad('round-robin'), pageLoad('round-robin')];
+  expect(shown).toEqual(ids.slice(0, 3));
+});
+
+test('lru never repeats an interest before all have been shown', () => {
+  installLocalStorage();
+  const total = loadInterests().length;
+  const shown = Array.from({ length: total }, () => pageLoad('lru'));
+  expect(new Set(shown).size).toBe(total);
+});
+
+test('history drops interests that are no longer in the list', () => {
+  const store = installLocalStorage();
+  store.interestHistory = JSON.stringify({
+    lastRoundRobinId: 'removed',
+    shown: { removed: { lastShown: 1, count: 3 } }
+  });
+  const id = pageLoad('round-robin');
+  const history = JSON.parse(store.interestHistory);
+  expect(Object.keys(history.shown)).toEqual([id]);
+  expect(history.lastRoundRobinId).toBe(id);
+});
@@ -0,0 +1,41 @@
+const { test, expect } = require('@playwright/test');
+const { JSDOM } = require('jsdom');
+
+const { window } = new JSDOM('', { url: 'https://example.test/' });
+globalThis.document = window.document;
+globalThis.localStorage = window.localStorage;
+
+const { renderInterestsPanel } = require('../interests-panel.js');
+
+/**
+ * Fire a change event after setting a form control's value.
+ * @param {HTMLElement} element
+ * @param {function(HTMLElement): void} update
+ * @returns {void}
+ */
+function change(element, update) {
+  update(element);
+  element.dispatchEvent(new window.Event('change'));
+}
+
+test('keeps earlier edits to a row when later fields change', () => {
+  localStorage.clear();
+  const container = document.createElement('div');
+  renderInterestsPanel(container);
+  const row = () => container.querySelector('tbody tr');
+  const query = row().querySelectorAll('input')[1].value;
+
+  change(row().querySelector('input[type="checkbox"]'), (input) => {
+    input.checked = false;
+  });
+  change(row().querySelector('select'), (select) => {
+    select.value = 'mesh';
+  });
+  change(row().querySelectorAll('input')[2], (input) => {
+    input.value = 'a, b';
+  });
+
+  const [first] = JSON.parse(localStorage.getItem('interests'));
+  expect(first).toMatchObject({ query, enabled: false, type: 'mesh', tags: ['a', 'b'] });
+  expect(container.querySelector('.interests-status').textContent).toBe('Tags updated. Reload to apply.');
+});
@@ -0,0 +1,73 @@
+const { test, expect } = require('@playwright/test');
+const { installLocalStorage, installWindow } = require('./browser-globals.js');
+const {
+  getParamDefinition,
+  coerceParam,
+  formatParamValue,
+  createParamReader,
+  stripSecretParams
+} = require('../params.js');
+
+test('coerceParam applies defaults, bounds, options and flags', () => {
+  const days = getParamDefinition('days');
+  expect(coerceParam(days, '')).toBe(30);
+  expect(coerceParam(days, 'abc')).toBe(30);
+  expect(coerceParam(days, '0')).toBe(1);
+  expect(coerceParam(getParamDefinition('efetchBatchSize'), '50000')).toBe(10000);
+  expect(coerceParam(getParamDefinition('dateField'), 'EDAT')).toBe('edat');
+  expect(coerceParam(getParamDefinition('dateField'), 'nope')).toBe('pdat');
+  expect(coerceParam(getParamDefinition('institution'), ' a, b ,,')).toEqual(['a', 'b']);
+  expect(coerceParam(getParamDefinition('stream'), '')).toBe(true);
+  expect(coerceParam(getParamDefinition('stream'), '0')).toBe(false);
+  expect(formatParamValue(getParamDefinition('stream'), false)).toBe('0');
+});
+
+test('createParamReader resolves env > URL > profile > storage > default', () => {
+  const store = installLocalStorage();
+  installWindow('https://example.test/?days=7&model=url-model');
+  store.days = '14';
+  store.maxSummaryArticles = '4';
+  store.apikey = 'stored-key';
+  const params = createParamReader({
+    profile: { days: 21, model: 'profile-model', abstractMode: 'findings', apikey: 'profile-key' },
+    env: { OPENAI_API_KEY: 'env-key' }
+  });
+  expect(params.get('apikey')).toBe('env-key');
+  expect(params.source('apikey')).toBe('env');
+  expect(params.get('days')).toBe(7);
+  expect(params.source('days')).toBe('URL');
+  expect(params.get('model')).toBe('url-model');
+  expect(params.get('abstractMode')).toBe('findings');
+  expect(params.source('abstractMode')).toBe('profile');
+  expect(params.get('maxSummaryArticles')).toBe(4);
+  expect(params.source('maxSummaryArticles')).toBe('storage');
+  expect(params.get('maxRetrievalArticles')).toBe(25);
+  expect(params.source('maxRetrievalArticles')).toBe('default');
+  // URL values of stored params are remembered.
+  expect(store.days).toBe('7');
+});
+
+test('share links apply URL values without storing them', () => {
+  const store = installLocalStorage();
+  installWindow('https://example.test/?share=1&days=7&provider=openai-compatible');
+  store.days = '14';
+  const params = createParamReader();
+  expect(params.get('days')).toBe(7);
+  expect(params.get('provider')).toBe('openai-compatible');
+  expect(store).toEqual({ days: '14' });
+});
+
+test('profiles never supply secrets', () => {
+  installLocalStorage();
+  installWindow('https://example.test/');
+  const params = createParamReader({ profile: { apikey: 'profile-key' } });
+  expect(params.get('apikey')).toBe('');
+});
+
+test('stripSecretParams stores every secret in the URL before removing it', () => {
+  const store = installLocalStorage();
+  const current = installWindow('https://example.test/biorxiv/?provider=anthropic&apikey=sk&anthropicApiKey=an&ncbiApiKey=nc&category=x');
+  stripSecretParams();
+  expect(current.href).toBe('https://example.test/biorxiv/?provider=anthropic&category=x');
+  expect(store).toMatchObject({ apikey: 'sk', anthropicApiKey: 'an', ncbiApiKey: 'nc' });
+});
@@ -0,0 +1,41 @@
+const { test, expect } = require('@playwright/test');
+const { JSDOM } = require('jsdom');
+
+const { window } = new JSDOM('', { url: 'https://example.test/' });
+globalThis.window = window;
+globalThis.document = window.document;
+globalThis.localStorage = window.localStorage;
+
+const { renderProfilesPanel } = require('../profiles-panel.js');
+
+/**
+ * Set a field of a profile row and fire its change event.
+ * @param {HTMLElement} container
+ * @param {string} profile
+ * @param {string} field
+ * @param {string} value
+ * @returns {void}
+ */
+function editField(container, profile, field, value) {
+  const row = [...container.querySelectorAll('tbody tr')]
+    .find((candidate) => candidate.querySelector('a').textContent === profile);
+  const input = row.querySelector(`input[name="${field}"]`);
+  input.value = value;
+  input.dispatchEvent(new window.Event('change'));
+}
+
+test('keeps earlier field edits when another field of the profile changes', () => {
+  localStorage.clear();
+  const container = document.createElement('div');
+  renderProfilesPanel(container, { activeProfile: '', currentSettings: {} });
+
+  editField(container, 'weekly-journals', 'days', '3');
+  editField(container, 'weekly-journals', 'minCited', '5');
+  editField(container, 'weekly-journals', 'maxSummaryArticles', '');
+
+  expect(JSON.parse(localStorage.getItem('profiles'))['weekly-journals']).toEqual({
+    days: 3,
+    type: 'journal',
+    minCited: 5
+  });
+});
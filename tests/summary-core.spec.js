@@ -0,0 +1,141 @@
+const { test, expect } = require('@playwright/test');
+const { buildGptSummary, parsePartialJson, requestSummaryText } = require('../summary-core.js');
+
+const items = ['111', '222', '333'].map((key) => ({
+  key,
+  buildLink: () => `<a href="https://pubmed.ncbi.nlm.nih.gov/${key}/">PMID: ${key}</a>`
+}));
+
+/**
+ * Build a structured summary with one sentence per citation list.
+ * @param {string[][]} citations
+ * @returns {string}
+ */
+function summaryJson(citations) {
+  return JSON.stringify({
+    paragraphs: [{
+      sentences: citations.map((keys, index) => ({ text: `Finding ${index}.`, citations: keys }))
+    }]
+  });
+}
+
+/**
+ * Stub fetch with Chat Completions responses, recording the user prompts sent.
+ * @param {string[]} outputs
+ * @returns {string[]}
+ */
+function stubFetch(outputs) {
+  const prompts = [];
+  globalThis.fetch = async (url, init) => {
+    prompts.push(JSON.parse(init.body).messages[1].content);
+    const content = outputs.shift();
+    return new Response(JSON.stringify({ choices: [{ message: { content } }] }), { status: 200 });
+  };
+  return prompts;
+}
+
+const request = { provider: 'openai-compatible', systemPrompt: 'system', userPrompt: 'papers', items };
+
+const original = { fetch: globalThis.fetch, log: console.log, warn: console.warn };
+
+test.beforeEach(() => {
+  console.log = () => {};
+  console.warn = () => {};
+});
+
+test.afterEach(() => {
+  globalThis.fetch = original.fetch;
+  console.log = original.log;
+  console.warn = original.warn;
+});
+
+test('renders sentences with citation links and reports a clean check', async () => {
+  const prompts = stubFetch([summaryJson([['111', 'PMID: 222'], ['333']])]);
+  const result = await buildGptSummary(request);
+  expect(prompts).toHaveLength(1);
+  expect(result.summaryHtml).toBe(
+    '<p class="summary">Finding 0 (<a href="https://pubmed.ncbi.nlm.nih.gov/111/">PMID: 111</a>; '
+    + '<a href="https://pubmed.ncbi.nlm.nih.gov/222/">PMID: 222</a>). '
+    + 'Finding 1 (<a href="https://pubmed.ncbi.nlm.nih.gov/333/">PMID: 333</a>).</p>'
+  );
+  expect(result.citedItems.map((item) => item.key)).toEqual(['111', '222', '333']);
+  expect(result.citationReport).toMatchObject({ retried: false, unknownKeys: [], addedKeys: [] });
+});
+
+test('re-asks once when the model cites an unknown paper', async () => {
+  const prompts = stubFetch([summaryJson([['111', '999']]), summaryJson([['111', '222', '333']])]);
+  const result = await buildGptSummary(request);
+  expect(prompts).toHaveLength(2);
+  expect(prompts[1]).toContain('it cited 999, which is not among the provided papers');
+  expect(prompts[1]).toContain('111, 222, 333');
+  expect(result.summaryHtml).not.toContain('999');
+  expect(result.citationReport).toMatchObject({ retried: true, initialUnknownKeys: ['999'], unknownKeys: [] });
+});
+
+test('strips unknown citations left after the re-ask and appends uncited papers', async () => {
+  stubFetch([summaryJson([['111', '999']]), summaryJson([['111', '888']])]);
+  const result = await buildGptSummary(request);
+  expect(result.summaryHtml).not.toContain('888');
+  expect(result.summaryHtml).toContain('PMID: 222');
+  expect(result.paragraphs[0][0].citations).toEqual(['111', '222', '333']);
+  expect(result.citedItems.map((item) => item.key)).toEqual(['111', '222', '333']);
+  expect(result.citationReport).toMatchObject({ unknownKeys: ['888'], addedKeys: ['222', '333'] });
+});
+
+test('escapes model text', async () => {
+  stubFetch([JSON.stringify({ paragraphs: [{ sentences: [{ text: '<img src=x onerror=alert(1)>', citations: ['111', '222', '333'] }] }] })]);
+  const result = await buildGptSummary(request);
+  expect(result.summaryHtml).toContain('&lt;img src=x onerror=alert(1)&gt;');
+});
+
+test('streams partial HTML and finishes with the full summary', async () => {
+  const text = summaryJson([['111', '222'], ['333']]);
+  const chunks = text.match(/.{1,12}/g).map((piece) => `data: ${JSON.stringify({ choices: [{ delta: { content: piece } }] })}\n\n`);
+  const encoder = new TextEncoder();
+  globalThis.fetch = async (url, init) => {
+    expect(JSON.parse(init.body).stream).toBe(true);
+    return new Response(new ReadableStream({
+      start(controller) {
+        [...chunks, 'data: [DONE]\n\n'].forEach((chunk) => controller.enqueue(encoder.encode(chunk)));
+        controller.close();
+      }
+    }), { status: 200 });
+  };
+  const partials = [];
+  const result = await buildGptSummary({ ...request, onPartial: (html) => partials.push(html) });
+  expect(partials.length).toBeGreaterThan(1);
+  expect(partials[0]).toMatch(/^<p class="summary">/);
+  expect(partials[partials.length - 1]).toBe(result.summaryHtml);
+});
+
+test('baseUrl only redirects openai-compatible requests', async () => {
+  const calls = [];
+  globalThis.fetch = async (url) => {
+    calls.push(String(url));
+    const body = String(url).endsWith('/messages')
+      ? { content: [{ type: 'text', text: 'ok' }] }
+      : { output_text: 'ok', choices: [{ message: { content: 'ok' } }] };
+    return new Response(JSON.stringify(body), { status: 200 });
+  };
+  const prompt = { apiKey: 'secret', baseUrl: 'https://evil.test/v1', systemPrompt: 'system', userPrompt: 'user' };
+  await requestSummaryText({ ...prompt, provider: 'openai' });
+  await requestSummaryText({ ...prompt, provider: 'anthropic' });
+  await requestSummaryText({ ...prompt, provider: 'openai-compatible' });
+  expect(calls).toEqual([
+    'https://api.openai.com/v1/responses',
+    'https://api.anthropic.com/v1/messages',
+    'https://evil.test/v1/chat/completions'
+  ]);
+});
+
+test('parsePartialJson completes truncated documents', () => {
+  expect(parsePartialJson('')).toBeNull();
+  expect(parsePartialJson('{"paragraphs":[{"sentences":[{"text":"Hal')).toEqual({
+    paragraphs: [{ sentences: [{ text: 'Hal' }] }]
+  });
+  expect(parsePartialJson('{"paragraphs":[{"sentences":[{"text":"A.","cit')).toEqual({
+    paragraphs: [{ sentences: [{ text: 'A.' }] }]
+  });
+  expect(parsePartialJson('{"a":"line \\')).toEqual({ a: 'line ' });
+  expect(parsePartialJson('```json\n{"a":[1,2')).toEqual({ a: [1, 2] });
+});